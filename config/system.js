@@ -10,7 +10,15 @@ module.exports = {
     },
     security: {
         tokenExpiration: '1h',
-        maxLoginAttempts: 3,
+        maxLoginAttempts: 3,            // Failed sign-in / MFA attempts per user before a lockout
+        lockout: {
+            ipMaxAttempts: 20,          // Failed attempts per source IP before a lockout
+            lockoutMs: 60000,           // First lockout; doubles with each repeat
+            maxLockoutMs: 3600000,
+            backoffBaseMs: 1000,        // Wait after a failure; doubles with each failure
+            backoffMaxMs: 30000,
+            failureWindowMs: 900000     // Failures older than this are forgotten
+        },
         sessionTimeout: 3600,
         minPasswordLength: 12
     },
@@ -18,24 +26,124 @@ module.exports = {
         maxRetries: 3,
         timeoutMs: 5000,
         maxConcurrentCalls: 1000,
-        loadBalancingStrategy: 'round-robin'
+        protectedDestinations: {
+            // Emergency, police, women/child helplines and the cyber-crime helpline
+            numbers: ['112', '100', '101', '102', '108', '1091', '1098', '1930'],
+            countryCode: '91',
+            reservedCapacity: 50    // Concurrent call slots held back for these numbers
+        },
+        admission: {
+            priorityClasses: ['emergency', 'priority', 'standard'], // Highest priority first
+            queueEnabled: true,           // Queue calls when at capacity instead of rejecting
+            maxQueueSize: 100,
+            queueTimeoutMs: 5000,
+            callsPerSecondPerTrunk: 50,   // Default per originating trunk
+            trunkCpsLimits: {}            // Per-trunk overrides, e.g. { 'trunk-1': 100 }
+        },
+        ingress: {
+            defaultType: 'domestic',        // Ingress type of calls from untagged trunks
+            trunks: {},                     // Per-trunk ingress type, e.g. { 'igw-mumbai-1': 'international' }
+            domesticCliAction: 'block',     // +91 caller ID on international ingress: 'flag' or 'block'
+            rules: [],                      // Extra rules: { id, ingress, cliPrefixes, trunks?, action }
+            roamingAllowlist: []            // Subscribers abroad allowed to present their own CLI
+        },
+        numberPortability: {
+            // Number range allocations, used for numbers that were never ported:
+            // [{ prefix: '9198', operator: 'operator-a' }]
+            rangeHolders: []
+        },
+        policy: {
+            qualityWeight: 0.6,       // Share of the score from DCD route quality
+            costWeight: 0.4,          // Share of the score from LCR cost
+            maxCostPerMinute: null,   // Reject routes rated above this per-minute rate
+            minReliability: null,     // Reject routes below this observed reliability
+            carrierRules: []          // [{ prefix, preferred: [carrier], excluded: [carrier] }]
+        },
+        circuitBreaker: {
+            failureThreshold: 5,    // Consecutive setup failures before a route is skipped
+            resetTimeoutMs: 30000   // Time before a skipped route is tried again
+        },
+        // round-robin | weighted-random | least-active-calls | consistent-hash
+        loadBalancingStrategy: 'round-robin',
+        // Call duration used to compare carrier rate deck costs
+        referenceCallDurationSeconds: 60,
+        // Trunks/carriers seeded into the route registry at startup
+        routes: [
+            { id: 'route1', carrier: 'carrier-a', capacity: 300, destinations: ['+91'], status: 'active' },
+            { id: 'route2', carrier: 'carrier-b', capacity: 300, destinations: ['+91'], status: 'active' },
+            { id: 'route3', carrier: 'carrier-c', capacity: 200, destinations: ['+91'], status: 'active' },
+            { id: 'route4', carrier: 'carrier-d', capacity: 200, destinations: [], status: 'active' }
+        ]
     },
     monitoring: {
         metricsInterval: 60000, // 1 minute
         alertThreshold: 0.8,
         retentionDays: 90,
-        debugLevel: 'info'
+        debugLevel: 'info',
+        cdrRetentionCount: 10000, // Call detail records kept in memory
+        anomalyDetection: {
+            bruteForceThreshold: 3,     // MFA lockouts of one user or source IP that indicate brute force
+            bruteForceWindowMs: 3600000 // Period lockouts are counted over
+        },
+        routeHealth: {
+            decayFactor: 0.2,         // Weight of the newest sample in moving averages
+            defaultLatencyMs: 50,     // Assumed setup latency before any sample
+            defaultReliability: 0.95  // Assumed reliability before any sample
+        }
     },
     authentication: {
         stirShaken: {
             certValidityDays: 30,
             minAttestationLevel: 'B',
-            verificationTimeout: 2000
+            belowMinimumAction: 'label',    // Weaker attestation: 'accept', 'label' or 'reject'
+            verificationTimeout: 2000,      // Also bounds x5u certificate retrieval
+            trustAnchors: [],               // STI-CA root certificate files (PEM)
+            crls: [],                       // Certificate revocation list files (PEM or DER)
+            x5uAllowedHosts: [],            // STI-CR hosts x5u certificates are fetched from (https only);
+                                            // '.example.org' also allows subdomains
+            allowedAlgorithms: ['ES256', 'RS256'],
+            // Signing keys: { identity, keyFile, certificateFile, x5u, notBefore?, notAfter? }.
+            // Keys of one identity may overlap in validity; the newest active key signs.
+            // Without a key, incoming calls are verified but outgoing calls are not signed.
+            signingKeys: [],
+            defaultSigningIdentity: null,
+            maxPassportAgeSeconds: 300,     // Freshness window for the iat claim
+            certCacheTtlMs: 3600000,        // How long fetched x5u certificates are reused
+            // Handling per verstat value: 'deliver', 'label' or 'reject'
+            verstatPolicy: {
+                'TN-Validation-Passed-A': 'deliver',
+                'TN-Validation-Passed-B': 'deliver',
+                'TN-Validation-Passed-C': 'deliver',
+                'TN-Validation-Passed': 'deliver',
+                'TN-Validation-Failed': 'label',
+                'No-TN-Validation': 'label'
+            },
+            replayProtection: {
+                action: 'reject',           // Replayed or misdirected PASSporTs: 'flag' or 'reject'
+                maxEntries: 100000          // Tokens remembered in memory
+            }
+        },
+        officialCallers: {
+            admins: []                      // User ids allowed to change the registry (MFA required)
         },
         mfa: {
             otpValiditySeconds: 300,
             backupCodesCount: 10,
-            maxDevices: 3
+            maxDevices: 3,
+            totp: {
+                issuer: 'National Call Routing',    // Shown in authenticator apps
+                digits: 6,
+                period: 30,                         // Seconds per code
+                algorithm: 'SHA1',                  // SHA1, SHA256 or SHA512
+                skewSteps: 1                        // Codes accepted this many periods early or late
+            },
+            behavior: {
+                knownLocationRadiusKm: 50,          // Logins this close to a past login are familiar
+                maxTravelSpeedKmh: 900,             // Faster movement between logins is impossible travel
+                maxKnownLocations: 20,              // Remembered locations per user
+                minLoginsForHours: 10,              // Logins before login hours are learned
+                rareHourShare: 0.05                 // Hours with fewer logins than this share are unusual
+            }
         }
     }
 };
\ No newline at end of file
@@ -0,0 +1,177 @@
+/**
+ * Authentication Attempt Limiter
+ * Slows down and temporarily locks out repeated failed attempts, separately per
+ * user and per source IP, so guessing codes for one account or spraying many
+ * accounts from one address both hit a limit. Users also wait an exponentially
+ * growing time between failed attempts. Lockouts expire and grow exponentially
+ * when they repeat.
+ */
+
+class AttemptLimiter {
+    /**
+     * @param {Object} options - Limiter options
+     * @param {number} options.maxAttempts - Failures per user before a lockout
+     * @param {number} options.ipMaxAttempts - Failures per source IP before a lockout
+     * @param {number} options.lockoutMs - First lockout duration; doubles with each repeat
+     * @param {number} options.maxLockoutMs - Longest lockout
+     * @param {number} options.backoffBaseMs - Wait after the first failure; doubles with each failure
+     * @param {number} options.backoffMaxMs - Longest wait between attempts
+     * @param {number} options.failureWindowMs - Failures older than this are forgotten
+     * @param {number} options.maxEntries - Tracked users and IPs before stale entries are purged
+     * @param {Function} options.onLockout - Called with each lockout event
+     */
+    constructor(options = {}) {
+        this.maxAttempts = options.maxAttempts || 3;
+        this.ipMaxAttempts = options.ipMaxAttempts || 20;
+        this.lockoutMs = options.lockoutMs || 60000;
+        this.maxLockoutMs = options.maxLockoutMs || 3600000;
+        this.backoffBaseMs = options.backoffBaseMs !== undefined ? options.backoffBaseMs : 1000;
+        this.backoffMaxMs = options.backoffMaxMs || 30000;
+        this.failureWindowMs = options.failureWindowMs || 900000;
+        this.maxEntries = options.maxEntries || 100000;
+        this.onLockout = options.onLockout || null;
+
+        this.entries = new Map();
+    }
+
+    /**
+     * Get the limiter scopes of a request
+     * @param {Object} subject - Attempt subject ({ userId, ip })
+     * @returns {Array} - Scopes ({ scope, key, maxAttempts })
+     */
+    getScopes(subject = {}) {
+        const scopes = [];
+        if (subject.userId) {
+            scopes.push({ scope: 'user', key: `user:${subject.userId}`, maxAttempts: this.maxAttempts });
+        }
+        if (subject.ip) {
+            scopes.push({ scope: 'ip', key: `ip:${subject.ip}`, maxAttempts: this.ipMaxAttempts });
+        }
+        return scopes;
+    }
+
+    /**
+     * Get the live entry of a scope key, forgetting stale failures
+     * @param {string} key - Scope key
+     * @param {number} now - Current time
+     * @returns {Object|null} - Entry ({ failures, lockouts, lastFailureAt, nextAttemptAt, lockedUntil })
+     */
+    getEntry(key, now) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+
+        if (now - entry.lastFailureAt > this.failureWindowMs && now >= entry.lockedUntil) {
+            this.entries.delete(key);
+            return null;
+        }
+        return entry;
+    }
+
+    /**
+     * Check whether an attempt may be made now
+     * @param {Object} subject - Attempt subject ({ userId, ip })
+     * @returns {Object} - Decision ({ allowed, reason, scope, retryAfterMs })
+     */
+    check(subject) {
+        const now = Date.now();
+        for (const { scope, key } of this.getScopes(subject)) {
+            const entry = this.getEntry(key, now);
+            if (!entry) continue;
+
+            if (entry.lockedUntil > now) {
+                return { allowed: false, reason: 'LOCKED_OUT', scope, retryAfterMs: entry.lockedUntil - now };
+            }
+            if (entry.nextAttemptAt > now) {
+                return { allowed: false, reason: 'BACKOFF', scope, retryAfterMs: entry.nextAttemptAt - now };
+            }
+        }
+        return { allowed: true, reason: null, scope: null, retryAfterMs: 0 };
+    }
+
+    /**
+     * Record a failed attempt against every scope of the request
+     * @param {Object} subject - Attempt subject ({ userId, ip })
+     * @returns {Array} - Lockouts started by this failure
+     */
+    recordFailure(subject) {
+        const now = Date.now();
+        const lockouts = [];
+
+        for (const { scope, key, maxAttempts } of this.getScopes(subject)) {
+            const entry = this.getEntry(key, now) ||
+                { failures: 0, lockouts: 0, lastFailureAt: 0, nextAttemptAt: 0, lockedUntil: 0 };
+            entry.failures++;
+            entry.lastFailureAt = now;
+            // Backoff applies per user only; many users may share an address (NAT)
+            if (scope === 'user') {
+                entry.nextAttemptAt = now + Math.min(this.backoffBaseMs * Math.pow(2, entry.failures - 1), this.backoffMaxMs);
+            }
+
+            if (entry.failures >= maxAttempts) {
+                entry.lockouts++;
+                entry.failures = 0;
+                entry.lockedUntil = now + Math.min(this.lockoutMs * Math.pow(2, entry.lockouts - 1), this.maxLockoutMs);
+
+                const event = {
+                    type: 'lockout',
+                    scope,
+                    userId: subject.userId || null,
+                    ip: subject.ip || null,
+                    lockouts: entry.lockouts,
+                    lockedUntil: entry.lockedUntil,
+                    timestamp: now
+                };
+                lockouts.push(event);
+                if (this.onLockout) this.onLockout(event);
+            }
+            this.entries.set(key, entry);
+        }
+        if (this.entries.size > this.maxEntries) {
+            for (const key of this.entries.keys()) this.getEntry(key, now);
+        }
+        return lockouts;
+    }
+
+    /**
+     * Record a successful attempt. The user's failures and lockout history are
+     * cleared; the IP's are kept, since one success does not vouch for other accounts.
+     * @param {Object} subject - Attempt subject ({ userId, ip })
+     */
+    recordSuccess(subject = {}) {
+        if (subject.userId) this.entries.delete(`user:${subject.userId}`);
+    }
+
+    /**
+     * Lift a lockout and its backoff (administrative unlock)
+     * @param {Object} subject - Subject to unlock ({ userId, ip })
+     * @returns {boolean} - Whether any limit was in place
+     */
+    unlock(subject) {
+        let unlocked = false;
+        for (const { key } of this.getScopes(subject)) {
+            unlocked = this.entries.delete(key) || unlocked;
+        }
+        return unlocked;
+    }
+
+    /**
+     * Describe the limiter state of a subject
+     * @param {Object} subject - Attempt subject ({ userId, ip })
+     * @returns {Array} - State per scope ({ scope, failures, lockouts, lockedUntil, nextAttemptAt })
+     */
+    getStatus(subject) {
+        const now = Date.now();
+        return this.getScopes(subject).map(({ scope, key }) => {
+            const entry = this.getEntry(key, now);
+            return {
+                scope,
+                failures: entry ? entry.failures : 0,
+                lockouts: entry ? entry.lockouts : 0,
+                lockedUntil: entry && entry.lockedUntil > now ? entry.lockedUntil : null,
+                nextAttemptAt: entry && entry.nextAttemptAt > now ? entry.nextAttemptAt : null
+            };
+        });
+    }
+}
+
+module.exports = AttemptLimiter;
@@ -0,0 +1,202 @@
+/**
+ * STI Certificate Fetchers
+ * Retrieve the certificate referenced by a PASSporT's x5u header.
+ * Every fetcher implements: async fetch(url) -> PEM string (leaf first, then intermediates)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const https = require('https');
+
+/**
+ * Create a certificate URL rejection error
+ * @param {string} message - Error message
+ * @returns {Error} - Rejection error
+ */
+function urlNotAllowed(message) {
+    const error = new Error(message);
+    error.code = 'X5U_NOT_ALLOWED';
+    return error;
+}
+
+class LocalCertificateFetcher {
+    /**
+     * @param {Object} options - Fetcher options
+     * @param {Object} options.files - Explicit x5u URL to file path mapping
+     * @param {string} options.directory - Directory holding certificates named after the URL's last path segment
+     */
+    constructor(options = {}) {
+        this.files = { ...(options.files || {}) };
+        this.directory = options.directory || null;
+    }
+
+    /**
+     * Map an x5u URL to a local file
+     * @param {string} url - Certificate URL
+     * @param {string} filePath - Local PEM file
+     */
+    register(url, filePath) {
+        this.files[url] = filePath;
+    }
+
+    /**
+     * Read the certificate for an x5u URL from disk
+     * @param {string} url - Certificate URL
+     * @returns {Promise<string>} - PEM certificate chain
+     */
+    async fetch(url) {
+        let filePath = this.files[url];
+        if (!filePath && this.directory) {
+            filePath = path.join(this.directory, path.basename(new URL(url).pathname));
+        }
+        if (!filePath) {
+            throw new Error(`No local certificate for ${url}`);
+        }
+        return fs.promises.readFile(filePath, 'utf8');
+    }
+}
+
+class HttpCertificateFetcher {
+    /**
+     * @param {Object} options - Fetcher options
+     * @param {Array} options.allowedHosts - Hosts x5u certificates may be fetched from; entries
+     *                                       starting with '.' also match their subdomains
+     * @param {number} options.timeoutMs - Time limit for the whole request
+     * @param {number} options.maxBytes - Maximum response size
+     */
+    constructor(options = {}) {
+        this.allowedHosts = (options.allowedHosts || []).map(host => host.toLowerCase());
+        this.timeoutMs = options.timeoutMs || 2000;
+        this.maxBytes = options.maxBytes || 64 * 1024;
+    }
+
+    /**
+     * Check an x5u URL before fetching it. The URL comes from an unverified token,
+     * so only https URLs on allowlisted certificate repositories are requested.
+     * @param {string} url - Certificate URL
+     * @returns {URL} - Parsed URL
+     */
+    checkUrl(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            throw urlNotAllowed(`Invalid certificate URL: ${url}`);
+        }
+        if (parsed.protocol !== 'https:') {
+            throw urlNotAllowed(`Certificate URL must use https: ${url}`);
+        }
+        if (parsed.username || parsed.password) {
+            throw urlNotAllowed(`Certificate URL must not carry credentials: ${url}`);
+        }
+
+        const host = parsed.hostname.toLowerCase();
+        const allowed = this.allowedHosts.some(entry =>
+            entry.startsWith('.') ? host.endsWith(entry) || host === entry.slice(1) : host === entry
+        );
+        if (!allowed) {
+            throw urlNotAllowed(`Certificate host is not allowlisted: ${host}`);
+        }
+        return parsed;
+    }
+
+    /**
+     * Download the certificate for an x5u URL
+     * @param {string} url - Certificate URL (https, allowlisted host)
+     * @returns {Promise<string>} - PEM certificate chain
+     */
+    async fetch(url) {
+        const parsed = this.checkUrl(url);
+
+        return new Promise((resolve, reject) => {
+            const request = https.get(parsed, (response) => {
+                if (response.statusCode !== 200) {
+                    response.resume();
+                    request.destroy(new Error(`Certificate fetch returned HTTP ${response.statusCode}`));
+                    return;
+                }
+                if (Number(response.headers['content-length']) > this.maxBytes) {
+                    request.destroy(new Error('Certificate response too large'));
+                    return;
+                }
+
+                const chunks = [];
+                let size = 0;
+                response.on('data', (chunk) => {
+                    size += chunk.length;
+                    if (size > this.maxBytes) {
+                        request.destroy(new Error('Certificate response too large'));
+                        return;
+                    }
+                    chunks.push(chunk);
+                });
+                response.on('end', () => {
+                    clearTimeout(deadline);
+                    resolve(Buffer.concat(chunks).toString('utf8'));
+                });
+            });
+
+            // Bounds the whole exchange, including a server that trickles its response
+            const deadline = setTimeout(
+                () => request.destroy(new Error('Certificate fetch timed out')),
+                this.timeoutMs
+            );
+            request.on('error', (error) => {
+                clearTimeout(deadline);
+                reject(error);
+            });
+        });
+    }
+}
+
+class CachingCertificateFetcher {
+    /**
+     * @param {Object} fetcher - Underlying fetcher
+     * @param {Object} options - Cache options
+     * @param {number} options.ttlMs - How long a fetched certificate is reused
+     * @param {number} options.maxEntries - Maximum cached certificates
+     */
+    constructor(fetcher, options = {}) {
+        this.fetcher = fetcher;
+        this.ttlMs = options.ttlMs || 3600000;
+        this.maxEntries = options.maxEntries || 1000;
+        this.cache = new Map();
+    }
+
+    /**
+     * Fetch a certificate, reusing a cached copy while it is fresh
+     * @param {string} url - Certificate URL
+     * @returns {Promise<string>} - PEM certificate chain
+     */
+    async fetch(url) {
+        const cached = this.cache.get(url);
+        if (cached && Date.now() - cached.fetchedAt < this.ttlMs) {
+            return cached.pem;
+        }
+
+        const pem = await this.fetcher.fetch(url);
+        this.cache.delete(url);
+        this.cache.set(url, { pem, fetchedAt: Date.now() });
+
+        // Maps iterate in insertion order, so the first key is the oldest entry
+        if (this.cache.size > this.maxEntries) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+        return pem;
+    }
+
+    /**
+     * Drop cached certificates
+     * @param {string} url - Optional URL; clears everything when omitted
+     */
+    invalidate(url) {
+        if (url) this.cache.delete(url);
+        else this.cache.clear();
+    }
+}
+
+module.exports = {
+    LocalCertificateFetcher,
+    HttpCertificateFetcher,
+    CachingCertificateFetcher
+};
@@ -0,0 +1,249 @@
+/**
+ * STI Certificate Validation
+ * Validates SHAKEN certificate chains against configured STI-CA trust anchors
+ * and CRLs, and checks the TNAuthList extension (RFC 8226)
+ */
+
+const crypto = require('crypto');
+const asn1 = require('../utils/asn1');
+
+const TN_AUTH_LIST_OID = '1.3.6.1.5.5.7.1.26';
+
+class CertificateValidator {
+    /**
+     * @param {Array} trustAnchors - Trusted STI-CA root certificates (PEM strings)
+     * @param {Array} crls - Certificate revocation lists (PEM strings or DER buffers)
+     */
+    constructor(trustAnchors = [], crls = []) {
+        this.trustAnchors = [];
+        this.crls = new Map();
+        for (const pem of trustAnchors) {
+            this.addTrustAnchor(pem);
+        }
+        for (const crl of crls) {
+            this.addCRL(crl);
+        }
+    }
+
+    /**
+     * Trust an additional STI-CA root
+     * @param {string} pem - Root certificate (PEM)
+     */
+    addTrustAnchor(pem) {
+        this.trustAnchors.push(new crypto.X509Certificate(pem));
+    }
+
+    /**
+     * Load a CRL, replacing an older CRL from the same issuer.
+     * Its signature and freshness are checked during validation.
+     * @param {string|Buffer} crl - CRL (PEM or DER)
+     * @returns {Object} - CRL summary ({ thisUpdate, nextUpdate, revokedCount })
+     */
+    addCRL(crl) {
+        // DER starts with a SEQUENCE tag; anything else is treated as PEM text
+        const der = Buffer.isBuffer(crl) && crl[0] === 0x30 ? crl :
+            Buffer.from(String(crl).replace(/-----[^-]+-----|\s/g, ''), 'base64');
+        const [tbs, , signature] = asn1.parse(der).children;
+
+        // tbsCertList: version?, signature, issuer, thisUpdate, nextUpdate?, revokedCertificates?, [0] extensions?
+        const fields = tbs.children.filter(field => field.tagClass === 'universal');
+        const offset = fields[0].tagNumber === 2 ? 1 : 0;
+        const isTime = field => field && (field.tagNumber === 0x17 || field.tagNumber === 0x18);
+        const nextUpdate = isTime(fields[offset + 3]) ? fields[offset + 3] : null;
+        const revokedList = fields.slice(offset + 3).find(field => field.tagNumber === 0x10);
+
+        const entry = {
+            issuer: fields[offset + 1].raw.toString('hex'),
+            thisUpdate: asn1.decodeTime(fields[offset + 2]),
+            nextUpdate: nextUpdate ? asn1.decodeTime(nextUpdate) : null,
+            revoked: new Set((revokedList ? revokedList.children : [])
+                .map(revoked => this.normalizeSerial(revoked.children[0].value.toString('hex')))),
+            tbs: tbs.raw,
+            signature: signature.value.subarray(1)
+        };
+
+        const current = this.crls.get(entry.issuer);
+        if (!current || current.thisUpdate <= entry.thisUpdate) {
+            this.crls.set(entry.issuer, entry);
+        }
+        return { thisUpdate: entry.thisUpdate, nextUpdate: entry.nextUpdate, revokedCount: entry.revoked.size };
+    }
+
+    /**
+     * Normalize a hex serial number for comparison
+     * @param {string} serial - Hex serial number
+     * @returns {string} - Upper-case serial without leading zero octets
+     */
+    normalizeSerial(serial) {
+        return serial.toUpperCase().replace(/^(00)+(?=.)/, '');
+    }
+
+    /**
+     * Get the DER issuer name of a certificate, as a hex string
+     * @param {X509Certificate} certificate - Certificate
+     * @returns {string} - Issuer name DER (hex)
+     */
+    getIssuerName(certificate) {
+        const tbs = asn1.parse(certificate.raw).children[0];
+        // tbsCertificate: [0] version?, serialNumber, signature, issuer, ...
+        const offset = tbs.children[0].tagClass === 'context' ? 1 : 0;
+        return tbs.children[offset + 2].raw.toString('hex');
+    }
+
+    /**
+     * Check a certificate against its issuer's CRL. A CRL that was not signed by the
+     * issuer or is past its nextUpdate fails the check rather than being ignored.
+     * @param {X509Certificate} certificate - Certificate
+     * @param {X509Certificate} issuer - Issuing certificate
+     * @param {number} at - Time to check at
+     * @returns {string|null} - Error code, or null when the certificate is not revoked
+     */
+    checkRevocation(certificate, issuer, at) {
+        const crl = this.crls.get(this.getIssuerName(certificate));
+        if (!crl) return null;
+
+        if (!crypto.verify('sha256', crl.tbs, issuer.publicKey, crl.signature)) {
+            return 'CRL_SIGNATURE_INVALID';
+        }
+        if (crl.nextUpdate !== null && crl.nextUpdate < at) {
+            return 'CRL_EXPIRED';
+        }
+        return crl.revoked.has(this.normalizeSerial(certificate.serialNumber)) ? 'CERT_REVOKED' : null;
+    }
+
+    /**
+     * Split a PEM bundle into individual certificates
+     * @param {string} pemBundle - One or more PEM certificates
+     * @returns {Array} - Parsed certificates, leaf first
+     */
+    parseBundle(pemBundle) {
+        const blocks = String(pemBundle).match(
+            /-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g
+        ) || [];
+        return blocks.map(block => new crypto.X509Certificate(block));
+    }
+
+    /**
+     * Check a certificate's validity period
+     * @param {X509Certificate} certificate - Certificate
+     * @param {number} at - Time to check
+     * @returns {boolean} - Whether the certificate is valid at that time
+     */
+    isWithinValidity(certificate, at) {
+        return new Date(certificate.validFrom).getTime() <= at &&
+            new Date(certificate.validTo).getTime() >= at;
+    }
+
+    /**
+     * Check whether a certificate was signed by an issuer
+     * @param {X509Certificate} certificate - Subject certificate
+     * @param {X509Certificate} issuer - Candidate issuer
+     * @returns {boolean} - Whether the issuer signed the certificate
+     */
+    isIssuedBy(certificate, issuer) {
+        return certificate.checkIssued(issuer) && certificate.verify(issuer.publicKey);
+    }
+
+    /**
+     * Validate a certificate chain up to a trust anchor
+     * @param {string} pemBundle - Leaf certificate followed by intermediates
+     * @param {number} at - Time to validate at
+     * @returns {Object} - Validation result ({ valid, errorCode, certificate, chain, anchor })
+     */
+    validateChain(pemBundle, at = Date.now()) {
+        let chain;
+        try {
+            chain = this.parseBundle(pemBundle);
+        } catch (error) {
+            return { valid: false, errorCode: 'CERT_PARSE_FAILED' };
+        }
+        if (!chain.length) {
+            return { valid: false, errorCode: 'CERT_PARSE_FAILED' };
+        }
+
+        if (chain.some(certificate => !this.isWithinValidity(certificate, at))) {
+            return { valid: false, errorCode: 'CERT_EXPIRED' };
+        }
+
+        for (let i = 0; i < chain.length - 1; i++) {
+            if (!chain[i + 1].ca || !this.isIssuedBy(chain[i], chain[i + 1])) {
+                return { valid: false, errorCode: 'CERT_CHAIN_INVALID' };
+            }
+        }
+
+        const top = chain[chain.length - 1];
+        const anchor = this.trustAnchors.find(root =>
+            root.fingerprint256 === top.fingerprint256 || (root.ca && this.isIssuedBy(top, root))
+        );
+        if (!anchor) {
+            return { valid: false, errorCode: 'CERT_UNTRUSTED' };
+        }
+        if (!this.isWithinValidity(anchor, at)) {
+            return { valid: false, errorCode: 'CERT_EXPIRED' };
+        }
+
+        const issuers = [...chain.slice(1), anchor];
+        for (let i = 0; i < chain.length; i++) {
+            const errorCode = this.checkRevocation(chain[i], issuers[i], at);
+            if (errorCode) return { valid: false, errorCode };
+        }
+
+        return { valid: true, errorCode: null, certificate: chain[0], chain, anchor };
+    }
+
+    /**
+     * Read the TNAuthList extension from a certificate
+     * @param {X509Certificate} certificate - SHAKEN certificate
+     * @returns {Object|null} - Authorized SPCs, numbers and ranges, or null when absent
+     */
+    getTNAuthList(certificate) {
+        const extension = asn1.getCertificateExtensions(certificate.raw)
+            .find(ext => ext.oid === TN_AUTH_LIST_OID);
+        if (!extension) return null;
+
+        const tnAuthList = { spc: [], numbers: [], ranges: [] };
+        const entries = asn1.parse(extension.value).children;
+
+        for (const entry of entries) {
+            // TNEntry is an explicitly tagged CHOICE: [0] spc, [1] range, [2] one
+            const inner = entry.children[0];
+            if (entry.tagNumber === 0) {
+                tnAuthList.spc.push(inner.value.toString('ascii'));
+            } else if (entry.tagNumber === 1) {
+                tnAuthList.ranges.push({
+                    start: inner.children[0].value.toString('ascii'),
+                    count: asn1.decodeInteger(inner.children[1].value)
+                });
+            } else if (entry.tagNumber === 2) {
+                tnAuthList.numbers.push(inner.value.toString('ascii'));
+            }
+        }
+
+        return tnAuthList;
+    }
+
+    /**
+     * Check whether a TNAuthList authorizes a telephone number.
+     * SPC-only certificates authorize any number of the service provider.
+     * @param {Object} tnAuthList - Parsed TNAuthList
+     * @param {string} tn - Telephone number (digits)
+     * @returns {boolean} - Whether the number is authorized
+     */
+    isAuthorizedForTN(tnAuthList, tn) {
+        const digits = String(tn || '').replace(/\D/g, '');
+        if (!tnAuthList.numbers.length && !tnAuthList.ranges.length) {
+            return tnAuthList.spc.length > 0;
+        }
+
+        if (tnAuthList.numbers.includes(digits)) return true;
+        return tnAuthList.ranges.some(range => {
+            if (range.start.length !== digits.length) return false;
+            const offset = Number(digits) - Number(range.start);
+            return offset >= 0 && offset < range.count;
+        });
+    }
+}
+
+CertificateValidator.TN_AUTH_LIST_OID = TN_AUTH_LIST_OID;
+
+module.exports = CertificateValidator;
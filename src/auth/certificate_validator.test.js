@@ -0,0 +1,67 @@
+const CertificateValidator = require('./certificate_validator');
+const DevelopmentSTICA = require('./sti_ca');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function createCA() {
+    const ca = new DevelopmentSTICA();
+    ca.createRoot();
+    ca.createIntermediate('root', { name: 'issuing' });
+    return ca;
+}
+
+describe('CertificateValidator', () => {
+    let ca;
+    let issued;
+
+    beforeAll(() => {
+        ca = createCA();
+        issued = ca.issueCertificate('issuing', { spc: '1234', numbers: ['919876543210'] });
+    });
+
+    test('accepts a chain up to a trust anchor', () => {
+        const validator = new CertificateValidator(ca.getTrustAnchors());
+
+        expect(validator.validateChain(issued.chain)).toMatchObject({ valid: true, errorCode: null });
+    });
+
+    test('rejects chains without a trust anchor', () => {
+        const validator = new CertificateValidator(createCA().getTrustAnchors());
+
+        expect(validator.validateChain(issued.chain).errorCode).toBe('CERT_UNTRUSTED');
+    });
+
+    test('rejects certificates listed on a valid CRL', () => {
+        const revokedCert = ca.issueCertificate('issuing', { spc: '1234' });
+        const crl = ca.revoke(revokedCert.serialNumber);
+        const validator = new CertificateValidator(ca.getTrustAnchors(), [crl]);
+
+        expect(validator.validateChain(revokedCert.chain).errorCode).toBe('CERT_REVOKED');
+        expect(validator.validateChain(issued.chain).valid).toBe(true);
+    });
+
+    test('fails closed on a CRL the issuer did not sign', () => {
+        // Same issuer name, different key
+        const impostor = createCA();
+        const validator = new CertificateValidator(ca.getTrustAnchors(), [impostor.generateCRL('issuing')]);
+
+        expect(validator.validateChain(issued.chain).errorCode).toBe('CRL_SIGNATURE_INVALID');
+    });
+
+    test('fails closed on a CRL past its nextUpdate', () => {
+        const crl = ca.generateCRL('issuing', { validityDays: 1 });
+        const validator = new CertificateValidator(ca.getTrustAnchors(), [crl]);
+
+        expect(validator.validateChain(issued.chain, Date.now() + 2 * DAY_MS).errorCode).toBe('CRL_EXPIRED');
+    });
+
+    test('reads and checks the TNAuthList', () => {
+        const validator = new CertificateValidator(ca.getTrustAnchors());
+        const { certificate } = validator.validateChain(issued.chain);
+        const tnAuthList = validator.getTNAuthList(certificate);
+
+        expect(tnAuthList).toEqual({ spc: ['1234'], numbers: ['919876543210'], ranges: [] });
+        expect(validator.isAuthorizedForTN(tnAuthList, '+91 98765 43210')).toBe(true);
+        expect(validator.isAuthorizedForTN(tnAuthList, '+919800000000')).toBe(false);
+    });
+});
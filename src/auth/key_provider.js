@@ -0,0 +1,201 @@
+/**
+ * PASSporT Signing Key Providers
+ * Supply the private key, algorithm and certificate URL used to sign PASSporTs.
+ * Every provider implements:
+ *   getSigningKey(identity, at) -> { keyId, identity, algorithm, privateKey, x5u, certificate, notBefore, notAfter }
+ *   listIdentities() -> Array of identity names
+ * so hardware-backed providers can replace the software implementation.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+/**
+ * Determine the JWS algorithm for a private key
+ * @param {KeyObject} key - Private key
+ * @returns {string} - JWS algorithm
+ */
+function algorithmForKey(key) {
+    const curve = key.asymmetricKeyDetails && key.asymmetricKeyDetails.namedCurve;
+    if (key.asymmetricKeyType === 'ec' && curve === 'prime256v1') {
+        return 'ES256';
+    }
+    if (key.asymmetricKeyType === 'rsa') {
+        return 'RS256';
+    }
+    throw new Error(`Unsupported signing key: ${key.asymmetricKeyType}${curve ? ` (${curve})` : ''}`);
+}
+
+class SoftwareKeyProvider {
+    constructor() {
+        this.keys = new Map();
+    }
+
+    /**
+     * Add a signing key. Keys of the same identity may overlap in validity;
+     * the most recently activated one is used, so a replacement key can be
+     * scheduled ahead of the old one expiring.
+     * @param {Object} key - Key definition
+     * @param {string} key.identity - Signing identity (e.g. an SPC or certificate name)
+     * @param {string} key.privateKey - Private key (PEM)
+     * @param {string} key.certificate - Certificate chain (PEM), leaf first
+     * @param {string} key.x5u - URL the certificate is published at
+     * @param {number} key.notBefore - Activation time; defaults to the certificate's start
+     * @param {number} key.notAfter - Retirement time; defaults to the certificate's end
+     * @returns {Object} - Registered key metadata
+     */
+    addKey(key) {
+        if (!key || !key.identity) {
+            throw new Error('Signing key identity is required');
+        }
+        if (!key.privateKey || !key.x5u) {
+            throw new Error(`Signing key for ${key.identity} needs a private key and an x5u URL`);
+        }
+
+        const privateKey = crypto.createPrivateKey(key.privateKey);
+        const algorithm = algorithmForKey(privateKey);
+
+        let certificate = null;
+        if (key.certificate) {
+            certificate = new crypto.X509Certificate(key.certificate);
+            if (!certificate.checkPrivateKey(privateKey)) {
+                throw new Error(`Certificate does not match the signing key for ${key.identity}`);
+            }
+        }
+
+        const notBefore = key.notBefore !== undefined ? new Date(key.notBefore).getTime() :
+            certificate ? new Date(certificate.validFrom).getTime() : 0;
+        const notAfter = key.notAfter !== undefined ? new Date(key.notAfter).getTime() :
+            certificate ? new Date(certificate.validTo).getTime() : Infinity;
+
+        const record = {
+            keyId: key.keyId || crypto.randomBytes(8).toString('hex'),
+            identity: key.identity,
+            algorithm,
+            privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+            x5u: key.x5u,
+            certificate,
+            notBefore,
+            notAfter
+        };
+
+        if (!this.keys.has(record.identity)) this.keys.set(record.identity, []);
+        this.keys.get(record.identity).push(record);
+        return this.describe(record);
+    }
+
+    /**
+     * Load a signing key and its certificate from files
+     * @param {Object} entry - File entry ({ identity, keyFile, certificateFile, x5u, notBefore, notAfter })
+     * @returns {Object} - Registered key metadata
+     */
+    loadKeyFiles(entry) {
+        return this.addKey({
+            ...entry,
+            privateKey: fs.readFileSync(entry.keyFile, 'utf8'),
+            certificate: entry.certificateFile ? fs.readFileSync(entry.certificateFile, 'utf8') : null
+        });
+    }
+
+    /**
+     * Generate an ES256 key without a certificate, for tests and local development
+     * @param {string} identity - Signing identity
+     * @param {Object} options - Key options ({ x5u, notBefore, notAfter })
+     * @returns {Object} - Registered key metadata with the public key (PEM)
+     */
+    generateKey(identity, options = {}) {
+        const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', {
+            namedCurve: 'prime256v1',
+            publicKeyEncoding: { type: 'spki', format: 'pem' },
+            privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+        });
+        return { ...this.addKey({ ...options, identity, privateKey }), publicKey };
+    }
+
+    /**
+     * Remove a key, e.g. after compromise
+     * @param {string} keyId - Key identifier
+     * @returns {boolean} - Whether the key existed
+     */
+    removeKey(keyId) {
+        for (const [identity, keys] of this.keys) {
+            const index = keys.findIndex(key => key.keyId === keyId);
+            if (index !== -1) {
+                keys.splice(index, 1);
+                if (!keys.length) this.keys.delete(identity);
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Drop keys whose validity has ended
+     * @param {number} at - Reference time
+     * @returns {number} - Number of keys removed
+     */
+    pruneExpiredKeys(at = Date.now()) {
+        let removed = 0;
+        for (const [identity, keys] of this.keys) {
+            const live = keys.filter(key => key.notAfter > at);
+            removed += keys.length - live.length;
+            if (live.length) this.keys.set(identity, live);
+            else this.keys.delete(identity);
+        }
+        return removed;
+    }
+
+    /**
+     * Get the key to sign with for an identity
+     * @param {string} identity - Signing identity
+     * @param {number} at - Signing time
+     * @returns {Object} - Signing key
+     */
+    getSigningKey(identity, at = Date.now()) {
+        const active = (this.keys.get(identity) || [])
+            .filter(key => key.notBefore <= at && key.notAfter > at)
+            .sort((a, b) => b.notBefore - a.notBefore);
+        if (!active.length) {
+            throw new Error(`No valid signing key for identity: ${identity}`);
+        }
+        return active[0];
+    }
+
+    /**
+     * List the configured signing identities
+     * @returns {Array} - Identity names
+     */
+    listIdentities() {
+        return Array.from(this.keys.keys());
+    }
+
+    /**
+     * List key metadata without private key material
+     * @param {string} identity - Optional identity filter
+     * @returns {Array} - Key metadata
+     */
+    listKeys(identity) {
+        const keys = identity ? this.keys.get(identity) || [] : Array.from(this.keys.values()).flat();
+        return keys.map(key => this.describe(key));
+    }
+
+    /**
+     * Describe a key without exposing private key material
+     * @param {Object} key - Key record
+     * @returns {Object} - Key metadata
+     */
+    describe(key) {
+        return {
+            keyId: key.keyId,
+            identity: key.identity,
+            algorithm: key.algorithm,
+            x5u: key.x5u,
+            notBefore: key.notBefore,
+            notAfter: key.notAfter
+        };
+    }
+}
+
+module.exports = {
+    SoftwareKeyProvider
+};
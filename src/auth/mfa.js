@@ -4,40 +4,302 @@
  */
 
 const crypto = require('crypto');
+const base32 = require('../utils/base32');
+const AttemptLimiter = require('./attempt_limiter');
+
+// HMAC algorithms of RFC 6238, with the secret size each one is keyed with
+const TOTP_ALGORITHMS = {
+    SHA1: { hash: 'sha1', secretBytes: 20 },
+    SHA256: { hash: 'sha256', secretBytes: 32 },
+    SHA512: { hash: 'sha512', secretBytes: 64 }
+};
+const EARTH_RADIUS_KM = 6371;
+// Device that generateTOTPSecret(userId) enrolls for callers written before named devices
+const LEGACY_DEVICE_NAME = 'default';
+
+/**
+ * Great-circle distance between two coordinates (haversine formula)
+ * @param {Object} from - Coordinates ({ latitude, longitude })
+ * @param {Object} to - Coordinates ({ latitude, longitude })
+ * @returns {number} - Distance in kilometres
+ */
+function haversineKm(from, to) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const dLat = toRadians(to.latitude - from.latitude);
+    const dLon = toRadians(to.longitude - from.longitude);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
 
 class MultiFactorAuth {
-    constructor() {
-        this.otpSecrets = new Map();
-        this.verificationAttempts = new Map();
-        this.MAX_ATTEMPTS = 3;
-        this.OTP_VALIDITY = 300000; // 5 minutes in milliseconds
+    /**
+     * @param {Object} config - MFA configuration (config.authentication.mfa)
+     * @param {Object} config.totp - TOTP parameters ({ issuer, digits, period, algorithm, skewSteps })
+     * @param {number} config.backupCodesCount - Recovery codes issued per user
+     * @param {number} config.maxDevices - Authenticator devices a user may enroll
+     * @param {number} config.otpValiditySeconds - Time to confirm a new device enrollment
+     * @param {Object} config.lockout - Attempt limits (see attempt_limiter.js)
+     * @param {Object} config.behavior - Behavior risk parameters ({ knownLocationRadiusKm,
+     *                                   maxTravelSpeedKmh, maxKnownLocations, minLoginsForHours, rareHourShare })
+     * @param {Object} options - Injectable dependencies
+     * @param {Object} options.notifier - Delivers account notifications: async notify(userId, notification)
+     * @param {Object} options.anomalyDetection - Receives lockouts as brute-force signals
+     */
+    constructor(config = {}, options = {}) {
+        const totp = config.totp || {};
+        this.issuer = totp.issuer || 'National Call Routing';
+        this.digits = totp.digits || 6;
+        this.period = totp.period || 30;
+        this.algorithm = String(totp.algorithm || 'SHA1').toUpperCase();
+        this.skewSteps = totp.skewSteps !== undefined ? totp.skewSteps : 1;
+        if (!TOTP_ALGORITHMS[this.algorithm]) {
+            throw new Error(`Unsupported TOTP algorithm: ${this.algorithm}`);
+        }
+        if (this.digits < 6 || this.digits > 10) {
+            throw new Error(`TOTP codes must have 6 to 10 digits: ${this.digits}`);
+        }
+
+        this.backupCodesCount = config.backupCodesCount || 10;
+        this.maxDevices = config.maxDevices || 3;
+        this.notifier = options.notifier || null;
+
+        this.devices = new Map();
+        this.backupCodes = new Map();
+        this.auditTrail = [];
+        this.notificationOutbox = [];
+        const behavior = config.behavior || {};
+        this.knownLocationRadiusKm = behavior.knownLocationRadiusKm || 50;
+        this.maxTravelSpeedKmh = behavior.maxTravelSpeedKmh || 900;
+        this.maxKnownLocations = behavior.maxKnownLocations || 20;
+        this.minLoginsForHours = behavior.minLoginsForHours || 10;
+        this.rareHourShare = behavior.rareHourShare !== undefined ? behavior.rareHourShare : 0.05;
+        this.loginHistory = new Map();
+
+        this.anomalyDetection = options.anomalyDetection || null;
+        this.attemptLimiter = new AttemptLimiter({
+            ...(config.lockout || {}),
+            onLockout: event => this.handleLockout(event)
+        });
+        this.OTP_VALIDITY = (config.otpValiditySeconds || 300) * 1000; // 5 minutes by default
     }
 
     /**
-     * Generate a new TOTP secret for a user
-     * @param {string} userId - User identifier
-     * @returns {string} - Generated secret
+     * Generate a new TOTP secret. Given a user, the secret also replaces that user's
+     * active 'default' device, as secrets worked before devices could be enrolled.
+     * @param {string} userId - User to enroll the secret for (deprecated; use enrollDevice)
+     * @returns {string} - Generated secret (base32)
      */
     generateTOTPSecret(userId) {
-        const secret = crypto.randomBytes(20).toString('hex');
-        this.otpSecrets.set(userId, {
+        if (userId === undefined) {
+            return base32.encode(crypto.randomBytes(TOTP_ALGORITHMS[this.algorithm].secretBytes));
+        }
+
+        const previous = this.getDevices(userId).find(device => device.name === LEGACY_DEVICE_NAME);
+        if (previous) this.revokeDevice(userId, previous.deviceId);
+        const { deviceId, secret } = this.enrollDevice(userId, LEGACY_DEVICE_NAME);
+        this.activateDevice(userId, this.getDevices(userId).find(device => device.deviceId === deviceId), -1);
+        return secret;
+    }
+
+    /**
+     * Get a user's devices, dropping enrollments that were never confirmed in time
+     * @param {string} userId - User identifier
+     * @returns {Array} - Device records
+     */
+    getDevices(userId) {
+        const now = Date.now();
+        const devices = (this.devices.get(userId) || []).filter(device =>
+            device.status === 'active' || now - device.createdAt < this.OTP_VALIDITY
+        );
+        if (devices.length) this.devices.set(userId, devices);
+        else this.devices.delete(userId);
+        return devices;
+    }
+
+    /**
+     * Start enrolling an authenticator device. The device stays pending until
+     * confirmDevice receives its first valid code.
+     * @param {string} userId - User identifier
+     * @param {string} name - Device name, e.g. 'Work phone'
+     * @returns {Object} - Enrollment ({ deviceId, name, secret, uri, ... }); uri is the QR code payload
+     */
+    enrollDevice(userId, name) {
+        if (!userId || !name) {
+            throw new Error('User and device name are required');
+        }
+        const devices = this.getDevices(userId);
+        if (devices.some(device => device.name === name)) {
+            throw new Error(`Device already enrolled: ${name}`);
+        }
+        if (devices.length >= this.maxDevices) {
+            throw new Error(`Device limit reached (${this.maxDevices}); revoke a device first`);
+        }
+
+        const device = {
+            deviceId: crypto.randomBytes(8).toString('hex'),
+            name,
+            secret: this.generateTOTPSecret(),
+            status: 'pending',
+            lastUsedStep: -1,
+            createdAt: Date.now(),
+            activatedAt: null,
+            lastUsed: null
+        };
+        devices.push(device);
+        this.devices.set(userId, devices);
+        this.recordAudit('device_enrolled', userId, { deviceId: device.deviceId, name });
+        return { deviceId: device.deviceId, name, ...this.buildProvisioningPayload(userId, device.secret) };
+    }
+
+    /**
+     * Activate a pending device with its first valid code. Wrong codes count against
+     * the same attempt limits as sign-in, so confirmation cannot be used to guess codes;
+     * a confirmation does not clear earlier sign-in failures.
+     * @param {string} userId - User identifier
+     * @param {string} deviceId - Device identifier
+     * @param {string} code - Code shown by the device
+     * @param {Object} context - Request details ({ ip })
+     * @returns {boolean} - Whether the device is now active
+     */
+    confirmDevice(userId, deviceId, code, context = {}) {
+        const subject = { userId, ip: context.ip };
+        if (!this.attemptLimiter.check(subject).allowed) {
+            return false;
+        }
+
+        const device = this.getDevices(userId).find(candidate => candidate.deviceId === deviceId);
+        if (!device || device.status !== 'pending') return false;
+
+        const step = this.matchTimeStep(device.secret, code);
+        if (step === null) {
+            this.recordLoginAttempt(subject, false);
+            return false;
+        }
+
+        this.activateDevice(userId, device, step);
+        return true;
+    }
+
+    /**
+     * Mark a pending device active
+     * @param {string} userId - User identifier
+     * @param {Object} device - Device record
+     * @param {number} step - Time step of the code that confirmed it (-1 when none was used)
+     */
+    activateDevice(userId, device, step) {
+        device.status = 'active';
+        device.lastUsedStep = step;
+        device.activatedAt = Date.now();
+        device.lastUsed = step >= 0 ? device.activatedAt : null;
+        this.recordAudit('device_activated', userId, { deviceId: device.deviceId, name: device.name });
+    }
+
+    /**
+     * Revoke a device, e.g. a lost phone
+     * @param {string} userId - User identifier
+     * @param {string} deviceId - Device identifier
+     * @returns {boolean} - Whether the device existed
+     */
+    revokeDevice(userId, deviceId) {
+        const devices = this.getDevices(userId);
+        const index = devices.findIndex(device => device.deviceId === deviceId);
+        if (index === -1) return false;
+
+        const [device] = devices.splice(index, 1);
+        this.recordAudit('device_revoked', userId, { deviceId, name: device.name });
+        return true;
+    }
+
+    /**
+     * List a user's devices without their secrets
+     * @param {string} userId - User identifier
+     * @returns {Array} - Devices ({ deviceId, name, status, createdAt, activatedAt, lastUsed })
+     */
+    listDevices(userId) {
+        return this.getDevices(userId).map(device => ({
+            deviceId: device.deviceId,
+            name: device.name,
+            status: device.status,
+            createdAt: device.createdAt,
+            activatedAt: device.activatedAt,
+            lastUsed: device.lastUsed
+        }));
+    }
+
+    /**
+     * Build the otpauth:// URI authenticator apps enroll from (usually shown as a QR code)
+     * @param {string} userId - User identifier (account name)
+     * @param {string} secret - TOTP secret (base32)
+     * @returns {string} - Provisioning URI
+     */
+    getProvisioningUri(userId, secret) {
+        const label = encodeURIComponent(`${this.issuer}:${userId}`);
+        const params = new URLSearchParams({
             secret,
-            createdAt: Date.now()
+            issuer: this.issuer,
+            algorithm: this.algorithm,
+            digits: String(this.digits),
+            period: String(this.period)
         });
-        return secret;
+        // Authenticator apps expect %20 rather than + for spaces
+        return `otpauth://totp/${label}?${params.toString().replace(/\+/g, '%20')}`;
     }
 
     /**
-     * Generate TOTP based on secret and current time
-     * @param {string} secret - TOTP secret
-     * @returns {string} - Generated TOTP
+     * Get the enrollment payload of a pending device. Secrets of active devices
+     * are never shown again.
+     * @param {string} userId - User identifier
+     * @param {string} deviceId - Device identifier
+     * @returns {Object} - Provisioning data ({ secret, uri, issuer, algorithm, digits, period });
+     *                     uri is the QR code payload
      */
-    generateTOTP(secret) {
-        const time = Math.floor(Date.now() / 30000); // 30-second window
-        const timeHex = Buffer.from(time.toString(16).padStart(16, '0'), 'hex');
-        
-        const hmac = crypto.createHmac('sha1', secret);
-        hmac.update(timeHex);
+    getProvisioningPayload(userId, deviceId) {
+        const device = this.getDevices(userId).find(candidate => candidate.deviceId === deviceId);
+        if (!device || device.status !== 'pending') {
+            throw new Error(`No pending enrollment for device: ${deviceId}`);
+        }
+        return this.buildProvisioningPayload(userId, device.secret);
+    }
+
+    /**
+     * Build the provisioning data of a secret
+     * @param {string} userId - User identifier
+     * @param {string} secret - TOTP secret (base32)
+     * @returns {Object} - Provisioning data
+     */
+    buildProvisioningPayload(userId, secret) {
+        return {
+            secret,
+            uri: this.getProvisioningUri(userId, secret),
+            issuer: this.issuer,
+            algorithm: this.algorithm,
+            digits: this.digits,
+            period: this.period
+        };
+    }
+
+    /**
+     * Get the TOTP time step of a moment
+     * @param {number} at - Time in milliseconds
+     * @returns {number} - Time step counter
+     */
+    getTimeStep(at = Date.now()) {
+        return Math.floor(at / 1000 / this.period);
+    }
+
+    /**
+     * Generate the HOTP value of a time step (RFC 4226 dynamic truncation)
+     * @param {string} secret - TOTP secret (base32)
+     * @param {number} step - Time step counter
+     * @returns {string} - Generated code
+     */
+    generateCode(secret, step) {
+        const counter = Buffer.alloc(8);
+        counter.writeBigUInt64BE(BigInt(step));
+
+        const hmac = crypto.createHmac(TOTP_ALGORITHMS[this.algorithm].hash, base32.decode(secret));
+        hmac.update(counter);
         const hash = hmac.digest();
 
         const offset = hash[hash.length - 1] & 0xf;
@@ -46,116 +308,437 @@ class MultiFactorAuth {
                       ((hash[offset + 2] & 0xff) << 8) |
                       (hash[offset + 3] & 0xff);
 
-        const otp = (binary % 1000000).toString().padStart(6, '0');
-        return otp;
+        return (binary % Math.pow(10, this.digits)).toString().padStart(this.digits, '0');
     }
 
     /**
-     * Verify TOTP code
+     * Generate TOTP based on secret and time (RFC 6238)
+     * @param {string} secret - TOTP secret (base32)
+     * @param {number} at - Time in milliseconds; defaults to now
+     * @returns {string} - Generated TOTP
+     */
+    generateTOTP(secret, at = Date.now()) {
+        return this.generateCode(secret, this.getTimeStep(at));
+    }
+
+    /**
+     * Find the time step a code belongs to, within the allowed clock skew
+     * @param {string} secret - TOTP secret (base32)
+     * @param {string} code - Code to check
+     * @param {number} at - Verification time
+     * @returns {number|null} - Matching time step
+     */
+    matchTimeStep(secret, code, at = Date.now()) {
+        const candidate = Buffer.from(String(code || ''));
+        const current = this.getTimeStep(at);
+        for (let step = current - this.skewSteps; step <= current + this.skewSteps; step++) {
+            const expected = Buffer.from(this.generateCode(secret, step));
+            if (candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected)) {
+                return step;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Verify TOTP code against the user's active devices. A code is accepted once:
+     * codes of a device's last used step or earlier are rejected, so an observed
+     * code cannot be replayed within its window.
      * @param {string} userId - User identifier
      * @param {string} code - TOTP code to verify
+     * @param {Object} context - Request details ({ ip })
      * @returns {boolean} - Verification result
      */
-    verifyTOTP(userId, code) {
-        const secretData = this.otpSecrets.get(userId);
-        if (!secretData) return false;
+    verifyTOTP(userId, code, context = {}) {
+        const subject = { userId, ip: context.ip };
+        if (!this.attemptLimiter.check(subject).allowed) {
+            return false;
+        }
 
-        const attempts = this.verificationAttempts.get(userId) || 0;
-        if (attempts >= this.MAX_ATTEMPTS) {
+        const devices = this.getDevices(userId).filter(device => device.status === 'active');
+        let isValid = false;
+        for (const device of devices) {
+            const step = this.matchTimeStep(device.secret, code);
+            if (step !== null && step > device.lastUsedStep) {
+                device.lastUsedStep = step;
+                device.lastUsed = Date.now();
+                isValid = true;
+                break;
+            }
+        }
+
+        this.recordLoginAttempt(subject, isValid);
+        return isValid;
+    }
+
+    /**
+     * Hash a backup code with the salt of its set
+     * @param {string} code - Backup code
+     * @param {Buffer} salt - Salt of the user's code set
+     * @returns {Buffer} - Code hash
+     */
+    hashBackupCode(code, salt) {
+        const normalized = String(code || '').toUpperCase().replace(/[\s-]/g, '');
+        return crypto.scryptSync(normalized, salt, 32);
+    }
+
+    /**
+     * Generate a fresh set of backup recovery codes, replacing any earlier set.
+     * The codes are returned once and only their salted hashes are kept.
+     * @param {string} userId - User identifier
+     * @returns {Array} - Backup codes (e.g. 'K7QM-2XWD') to show to the user
+     */
+    generateBackupCodes(userId) {
+        const salt = crypto.randomBytes(16);
+        const codes = [];
+        const hashes = [];
+        for (let i = 0; i < this.backupCodesCount; i++) {
+            const code = base32.encode(crypto.randomBytes(5));
+            codes.push(`${code.slice(0, 4)}-${code.slice(4)}`);
+            hashes.push({ hash: this.hashBackupCode(code, salt), usedAt: null });
+        }
+
+        this.backupCodes.set(userId, { salt, hashes, generatedAt: Date.now() });
+        this.recordAudit('backup_codes_generated', userId, { count: codes.length });
+        return codes;
+    }
+
+    /**
+     * Count the unused backup codes of a user
+     * @param {string} userId - User identifier
+     * @returns {Object} - Code status ({ total, remaining, generatedAt })
+     */
+    getBackupCodeStatus(userId) {
+        const codeSet = this.backupCodes.get(userId);
+        if (!codeSet) return { total: 0, remaining: 0, generatedAt: null };
+
+        return {
+            total: codeSet.hashes.length,
+            remaining: codeSet.hashes.filter(entry => !entry.usedAt).length,
+            generatedAt: codeSet.generatedAt
+        };
+    }
+
+    /**
+     * Verify and consume a backup code. Every use is audited and reported to the
+     * account owner, so a stolen code set is noticed.
+     * @param {string} userId - User identifier
+     * @param {string} code - Backup code
+     * @param {Object} context - Request details recorded with the use ({ ip })
+     * @returns {Promise<boolean>} - Whether the code was valid and unused
+     */
+    async verifyBackupCode(userId, code, context = {}) {
+        const subject = { userId, ip: context.ip };
+        if (!this.attemptLimiter.check(subject).allowed) {
             return false;
         }
 
-        const expectedCode = this.generateTOTP(secretData.secret);
-        const isValid = code === expectedCode;
+        const codeSet = this.backupCodes.get(userId);
+        const hash = codeSet && this.hashBackupCode(code, codeSet.salt);
+        const entry = codeSet && codeSet.hashes.find(candidate =>
+            !candidate.usedAt && crypto.timingSafeEqual(candidate.hash, hash)
+        );
+        this.recordLoginAttempt(subject, Boolean(entry));
+        if (!entry) return false;
 
-        if (!isValid) {
-            this.verificationAttempts.set(userId, attempts + 1);
-        } else {
-            this.verificationAttempts.delete(userId);
+        entry.usedAt = Date.now();
+
+        const { remaining } = this.getBackupCodeStatus(userId);
+        this.recordAudit('backup_code_used', userId, { remaining, ip: context.ip || null });
+        await this.notifyOwner(userId, {
+            type: 'backup_code_used',
+            message: `A backup code was used to sign in. ${remaining} backup codes remain.`,
+            remaining,
+            ip: context.ip || null
+        });
+        return true;
+    }
+
+    /**
+     * Check whether a user may attempt to sign in from an address. Password login
+     * shares these limits with the second factor.
+     * @param {Object} subject - Attempt subject ({ userId, ip })
+     * @returns {Object} - Decision ({ allowed, reason, scope, retryAfterMs })
+     */
+    checkLoginAllowed(subject) {
+        return this.attemptLimiter.check(subject);
+    }
+
+    /**
+     * Record the outcome of a sign-in attempt (password or second factor)
+     * @param {Object} subject - Attempt subject ({ userId, ip })
+     * @param {boolean} success - Whether the attempt succeeded
+     * @returns {Array} - Lockouts started by a failure
+     */
+    recordLoginAttempt(subject, success) {
+        if (success) {
+            this.attemptLimiter.recordSuccess(subject);
+            return [];
         }
+        return this.attemptLimiter.recordFailure(subject);
+    }
 
-        return isValid;
+    /**
+     * Audit a lockout and pass it to anomaly detection as a possible brute-force attempt
+     * @param {Object} event - Lockout event ({ scope, userId, ip, lockouts, lockedUntil })
+     */
+    handleLockout(event) {
+        this.recordAudit('lockout', event.userId, {
+            scope: event.scope,
+            ip: event.ip,
+            lockouts: event.lockouts,
+            lockedUntil: event.lockedUntil
+        });
+        if (this.anomalyDetection) {
+            this.anomalyDetection.recordSecurityEvent(event);
+        }
     }
 
     /**
-     * Analyze user behavior for risk assessment
-     * @param {Object} userBehavior - User behavior data
-     * @returns {Object} - Risk assessment result
+     * Lift the lockout of a user and/or source IP
+     * @param {Object} subject - Subject to unlock ({ userId, ip })
+     * @param {string} adminId - Administrator performing the unlock
+     * @returns {boolean} - Whether a lockout or backoff was in place
      */
-    analyzeBehaviorRisk(userBehavior) {
+    unlock(subject, adminId) {
+        const unlocked = this.attemptLimiter.unlock(subject);
+        this.recordAudit('unlock', subject.userId || null, { ip: subject.ip || null, adminId, unlocked });
+        return unlocked;
+    }
+
+    /**
+     * Record a security-relevant account event
+     * @param {string} event - Event type
+     * @param {string} userId - User identifier
+     * @param {Object} details - Event details
+     */
+    recordAudit(event, userId, details = {}) {
+        this.auditTrail.push({ event, userId, ...details, at: Date.now() });
+    }
+
+    /**
+     * Get the audit trail of a user, or of all users
+     * @param {string} userId - Optional user filter
+     * @returns {Array} - Audit entries
+     */
+    getAuditTrail(userId) {
+        return this.auditTrail.filter(entry => !userId || entry.userId === userId);
+    }
+
+    /**
+     * Notify an account owner. Without a configured notifier, notifications wait
+     * in the outbox for another channel to deliver.
+     * @param {string} userId - Account owner
+     * @param {Object} notification - Notification ({ type, message, ... })
+     * @returns {Promise<void>}
+     */
+    async notifyOwner(userId, notification) {
+        const entry = { userId, ...notification, at: Date.now() };
+        if (!this.notifier) {
+            this.notificationOutbox.push(entry);
+            return;
+        }
+        try {
+            await this.notifier.notify(userId, entry);
+        } catch (error) {
+            // A failed delivery must not fail the sign-in; keep it for retry
+            this.notificationOutbox.push({ ...entry, error: error.message });
+        }
+    }
+
+    /**
+     * Check whether coordinates are usable
+     * @param {Object} location - Location data ({ latitude, longitude })
+     * @returns {boolean} - Whether the location has valid coordinates
+     */
+    isValidLocation(location) {
+        return Boolean(location) &&
+            Number.isFinite(location.latitude) && Math.abs(location.latitude) <= 90 &&
+            Number.isFinite(location.longitude) && Math.abs(location.longitude) <= 180;
+    }
+
+    /**
+     * Add a successful authentication to the user's history of locations and login hours.
+     * Logins are dated by the server clock; a client-supplied timestamp is ignored.
+     * @param {string} userId - User identifier
+     * @param {Object} userBehavior - Behavior data ({ location })
+     */
+    recordLogin(userId, userBehavior = {}) {
+        const at = Date.now();
+        const history = this.loginHistory.get(userId) ||
+            { locations: [], hourCounts: new Array(24).fill(0), logins: 0, lastLogin: null };
+        history.hourCounts[new Date(at).getHours()]++;
+        history.logins++;
+
+        const location = userBehavior.location;
+        if (this.isValidLocation(location)) {
+            const known = history.locations.find(entry =>
+                haversineKm(entry, location) <= this.knownLocationRadiusKm
+            );
+            if (known) {
+                known.count++;
+                known.lastSeen = at;
+            } else {
+                history.locations.push({ latitude: location.latitude, longitude: location.longitude, count: 1, lastSeen: at });
+                if (history.locations.length > this.maxKnownLocations) {
+                    // Forget the location seen longest ago
+                    history.locations.sort((a, b) => b.lastSeen - a.lastSeen).pop();
+                }
+            }
+            history.lastLogin = { latitude: location.latitude, longitude: location.longitude, at };
+        }
+        this.loginHistory.set(userId, history);
+    }
+
+    /**
+     * Check whether a login hour is unusual for a user. Until enough logins are
+     * known, hours outside 06:00-22:00 are unusual.
+     * @param {string} userId - User identifier
+     * @param {number} hour - Hour of day (0-23)
+     * @returns {boolean} - Whether the hour is unusual
+     */
+    isUnusualHour(userId, hour) {
+        const history = this.loginHistory.get(userId);
+        if (!history || history.logins < this.minLoginsForHours) {
+            return hour < 6 || hour > 22;
+        }
+
+        // Count neighbouring hours too, so logins just before or after a usual hour pass
+        const nearby = [hour - 1, hour, hour + 1]
+            .reduce((sum, h) => sum + history.hourCounts[(h + 24) % 24], 0);
+        return nearby / history.logins < this.rareHourShare;
+    }
+
+    /**
+     * Analyze user behavior for risk assessment. The login is dated by the server clock,
+     * so a client cannot pick the hour or the travel time it is judged by.
+     * @param {string} userId - User identifier
+     * @param {Object} userBehavior - User behavior data ({ location, recentAttempts })
+     * @returns {Object} - Risk assessment result, with the signals that fired
+     */
+    analyzeBehaviorRisk(userId, userBehavior = {}) {
+        // Older callers pass only the behavior data; it is judged without a user history
+        if (userId !== null && typeof userId === 'object') {
+            return this.analyzeBehaviorRisk(null, userId);
+        }
+
         const riskFactors = {
             unusualTime: false,
             unusualLocation: false,
+            impossibleTravel: false,
             suspiciousPattern: false,
-            riskScore: 0
+            riskScore: 0,
+            signals: []
+        };
+        const addSignal = (signal, score, detail) => {
+            riskFactors[signal] = true;
+            riskFactors.riskScore += score;
+            riskFactors.signals.push({ signal, score, detail });
         };
+        const at = Date.now();
 
         // Check for unusual time
-        const hour = new Date().getHours();
-        if (hour < 6 || hour > 22) {
-            riskFactors.unusualTime = true;
-            riskFactors.riskScore += 0.3;
+        const hour = new Date(at).getHours();
+        if (this.isUnusualHour(userId, hour)) {
+            addSignal('unusualTime', 0.3, `Login at ${String(hour).padStart(2, '0')}:00 is unusual for this user`);
         }
 
         // Check for unusual location
-        if (userBehavior.location) {
-            const isKnownLocation = this.isKnownLocation(userBehavior.location);
-            if (!isKnownLocation) {
-                riskFactors.unusualLocation = true;
-                riskFactors.riskScore += 0.4;
+        const location = userBehavior.location;
+        if (this.isValidLocation(location)) {
+            if (!this.isKnownLocation(userId, location)) {
+                addSignal('unusualLocation', 0.4, 'Login location is not near a known location');
+            }
+
+            // Check whether the user could have travelled here since the last login
+            const history = this.loginHistory.get(userId);
+            const last = history && history.lastLogin;
+            if (last) {
+                const distanceKm = haversineKm(last, location);
+                const hours = Math.max(at - last.at, 0) / 3600000;
+                const speedKmh = hours > 0 ? distanceKm / hours : Infinity;
+                if (distanceKm > this.knownLocationRadiusKm && speedKmh > this.maxTravelSpeedKmh) {
+                    addSignal('impossibleTravel', 0.7,
+                        `${Math.round(distanceKm)} km from the last login ${Math.round(hours * 60)} minutes ago`);
+                }
             }
         }
 
         // Check for suspicious patterns
         if (userBehavior.recentAttempts > 5) {
-            riskFactors.suspiciousPattern = true;
-            riskFactors.riskScore += 0.3;
+            addSignal('suspiciousPattern', 0.3, `${userBehavior.recentAttempts} recent attempts`);
         }
 
+        riskFactors.riskScore = Math.min(1, riskFactors.riskScore);
         return riskFactors;
     }
 
     /**
-     * Check if location is known/trusted
-     * @param {Object} location - Location data
+     * Check whether a location is near one the user has authenticated from before.
+     * Users without location history have no known locations yet and are not flagged.
+     * @param {string} userId - User identifier
+     * @param {Object} location - Location data ({ latitude, longitude })
      * @returns {boolean} - Whether location is known
      */
-    isKnownLocation(location) {
-        // In production, would check against database of known locations
-        // For prototype, using simplified check
-        return Math.random() > 0.2; // 80% chance of known location
+    isKnownLocation(userId, location) {
+        const history = this.loginHistory.get(userId);
+        if (!history || !history.locations.length) return true;
+
+        return history.locations.some(entry => haversineKm(entry, location) <= this.knownLocationRadiusKm);
     }
 
     /**
      * Perform complete multi-factor authentication
-     * @param {Object} authRequest - Authentication request
+     * @param {Object} authRequest - Authentication request ({ userId, totpCode or backupCode, ip, behaviorData })
      * @returns {Promise<Object>} - Authentication result
      */
     async authenticate(authRequest) {
-        const { userId, totpCode, behaviorData } = authRequest;
+        const { userId, totpCode, backupCode, behaviorData } = authRequest;
         
-        // Step 1: Verify TOTP
-        const isValidTOTP = this.verifyTOTP(userId, totpCode);
-        if (!isValidTOTP) {
+        // Step 1: Refuse attempts while the user or source IP is locked out or backing off
+        const limit = this.checkLoginAllowed({ userId, ip: authRequest.ip });
+        if (!limit.allowed) {
+            return {
+                success: false,
+                error: limit.reason,
+                retryAfterMs: limit.retryAfterMs,
+                requiresAdditionalVerification: false
+            };
+        }
+
+        // Step 2: Verify TOTP, or a backup code when the authenticator is unavailable
+        const factor = backupCode && !totpCode ? 'backup_code' : 'totp';
+        const isValid = factor === 'backup_code'
+            ? await this.verifyBackupCode(userId, backupCode, { ip: authRequest.ip })
+            : this.verifyTOTP(userId, totpCode, { ip: authRequest.ip });
+        if (!isValid) {
             return {
                 success: false,
-                error: 'INVALID_TOTP',
+                error: factor === 'backup_code' ? 'INVALID_BACKUP_CODE' : 'INVALID_TOTP',
                 requiresAdditionalVerification: false
             };
         }
 
-        // Step 2: Analyze behavior risk
-        const riskAssessment = this.analyzeBehaviorRisk(behaviorData);
+        // Step 3: Analyze behavior risk against the user's history
+        const riskAssessment = this.analyzeBehaviorRisk(userId, behaviorData);
         
-        // Step 3: Determine if additional verification is needed
+        // Step 4: Determine if additional verification is needed; only trusted
+        // logins extend the history, so a risky one cannot make itself look normal
         const requiresAdditionalVerification = riskAssessment.riskScore >= 0.7;
+        if (!requiresAdditionalVerification) {
+            this.recordLogin(userId, behaviorData);
+        }
 
         return {
             success: true,
+            factor,
             riskAssessment,
             requiresAdditionalVerification
         };
     }
 }
 
+MultiFactorAuth.TOTP_ALGORITHMS = Object.keys(TOTP_ALGORITHMS);
+MultiFactorAuth.haversineKm = haversineKm;
+
 module.exports = MultiFactorAuth;
\ No newline at end of file
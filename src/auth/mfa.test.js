@@ -0,0 +1,254 @@
+const MultiFactorAuth = require('./mfa');
+const base32 = require('../utils/base32');
+
+const NOW = Date.parse('2024-10-01T10:00:00Z');
+
+// RFC 6238 Appendix B: 8-digit codes for the ASCII seeds below, keyed per algorithm
+const RFC6238_SEEDS = {
+    SHA1: '12345678901234567890',
+    SHA256: '12345678901234567890123456789012',
+    SHA512: '1234567890123456789012345678901234567890123456789012345678901234'
+};
+const RFC6238_VECTORS = [
+    [59, { SHA1: '94287082', SHA256: '46119246', SHA512: '90693936' }],
+    [1111111109, { SHA1: '07081804', SHA256: '68084774', SHA512: '25091201' }],
+    [1111111111, { SHA1: '14050471', SHA256: '67062674', SHA512: '99943326' }],
+    [1234567890, { SHA1: '89005924', SHA256: '91819424', SHA512: '93441116' }],
+    [2000000000, { SHA1: '69279037', SHA256: '90698825', SHA512: '38618901' }],
+    [20000000000, { SHA1: '65353130', SHA256: '77737706', SHA512: '47863826' }]
+];
+
+/**
+ * Enroll and confirm an authenticator device
+ * @param {MultiFactorAuth} mfa - Authenticator
+ * @param {string} userId - User identifier
+ * @param {string} name - Device name
+ * @returns {Object} - Enrollment ({ deviceId, secret, ... })
+ */
+function enrollActiveDevice(mfa, userId, name = 'Phone') {
+    const enrollment = mfa.enrollDevice(userId, name);
+    // Confirm with the previous step's code, so the current one is still unused
+    mfa.confirmDevice(userId, enrollment.deviceId, mfa.generateTOTP(enrollment.secret, Date.now() - 30000));
+    return enrollment;
+}
+
+beforeEach(() => {
+    jest.spyOn(Date, 'now').mockReturnValue(NOW);
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('TOTP', () => {
+    test.each(Object.keys(RFC6238_SEEDS))('matches the RFC 6238 test vectors with %s', algorithm => {
+        const mfa = new MultiFactorAuth({ totp: { algorithm, digits: 8 } });
+        const secret = base32.encode(Buffer.from(RFC6238_SEEDS[algorithm], 'ascii'));
+
+        for (const [seconds, codes] of RFC6238_VECTORS) {
+            expect(mfa.generateTOTP(secret, seconds * 1000)).toBe(codes[algorithm]);
+        }
+    });
+
+    test('accepts codes within the skew window, once each', () => {
+        const mfa = new MultiFactorAuth({ lockout: { backoffBaseMs: 0 } });
+        const { secret } = enrollActiveDevice(mfa, 'alice');
+
+        expect(mfa.verifyTOTP('alice', mfa.generateTOTP(secret, NOW - 60000))).toBe(false);
+        expect(mfa.verifyTOTP('alice', mfa.generateTOTP(secret, NOW + 30000))).toBe(true);
+        // The code of an earlier step is stale once a later one was used
+        expect(mfa.verifyTOTP('alice', mfa.generateTOTP(secret, NOW))).toBe(false);
+    });
+
+    test('builds provisioning URIs authenticator apps enroll from', () => {
+        const mfa = new MultiFactorAuth({ totp: { issuer: 'Call Routing', algorithm: 'sha256' } });
+
+        expect(mfa.getProvisioningUri('alice@example.org', 'JBSWY3DP')).toBe(
+            'otpauth://totp/Call%20Routing%3Aalice%40example.org?secret=JBSWY3DP&issuer=Call%20Routing' +
+            '&algorithm=SHA256&digits=6&period=30'
+        );
+        expect(() => new MultiFactorAuth({ totp: { algorithm: 'MD5' } })).toThrow('Unsupported TOTP algorithm');
+    });
+
+    test('still enrolls a usable secret through generateTOTPSecret(userId)', () => {
+        const mfa = new MultiFactorAuth({ lockout: { backoffBaseMs: 0 } });
+        const first = mfa.generateTOTPSecret('alice');
+        const second = mfa.generateTOTPSecret('alice');
+
+        expect(mfa.listDevices('alice')).toEqual([expect.objectContaining({ name: 'default', status: 'active' })]);
+        expect(mfa.verifyTOTP('alice', mfa.generateTOTP(first))).toBe(false);
+        expect(mfa.verifyTOTP('alice', mfa.generateTOTP(second))).toBe(true);
+        expect(base32.decode(mfa.generateTOTPSecret())).toHaveLength(20);
+    });
+});
+
+describe('backup codes', () => {
+    test('accepts each code once, in any formatting, and reports its use', async () => {
+        const mfa = new MultiFactorAuth({ backupCodesCount: 4, lockout: { backoffBaseMs: 0 } });
+        const codes = mfa.generateBackupCodes('alice');
+
+        expect(codes).toHaveLength(4);
+        expect(await mfa.verifyBackupCode('alice', codes[0].toLowerCase().replace('-', ' '), { ip: '198.51.100.7' }))
+            .toBe(true);
+        expect(await mfa.verifyBackupCode('alice', codes[0])).toBe(false);
+        expect(mfa.getBackupCodeStatus('alice')).toMatchObject({ total: 4, remaining: 3 });
+        expect(mfa.notificationOutbox).toEqual([
+            expect.objectContaining({ userId: 'alice', type: 'backup_code_used', remaining: 3, ip: '198.51.100.7' })
+        ]);
+    });
+
+    test('invalidates earlier codes when a new set is generated', async () => {
+        const mfa = new MultiFactorAuth({ lockout: { backoffBaseMs: 0 } });
+        const [oldCode] = mfa.generateBackupCodes('alice');
+        const [newCode] = mfa.generateBackupCodes('alice');
+
+        expect(await mfa.verifyBackupCode('alice', oldCode)).toBe(false);
+        expect(await mfa.authenticate({ userId: 'alice', backupCode: newCode, behaviorData: {} }))
+            .toMatchObject({ success: true, factor: 'backup_code' });
+    });
+
+    test('keeps failed notifications for retry without failing the sign-in', async () => {
+        const notifier = { notify: jest.fn().mockRejectedValue(new Error('SMS gateway down')) };
+        const mfa = new MultiFactorAuth({}, { notifier });
+        const [code] = mfa.generateBackupCodes('alice');
+
+        expect(await mfa.verifyBackupCode('alice', code)).toBe(true);
+        expect(mfa.notificationOutbox).toEqual([expect.objectContaining({ error: 'SMS gateway down' })]);
+    });
+});
+
+describe('devices', () => {
+    test('activates a device with its first valid code and lets it be revoked', () => {
+        const mfa = new MultiFactorAuth({ maxDevices: 2 });
+        const phone = enrollActiveDevice(mfa, 'alice', 'Phone');
+        mfa.enrollDevice('alice', 'Tablet');
+
+        expect(mfa.listDevices('alice').map(device => [device.name, device.status]))
+            .toEqual([['Phone', 'active'], ['Tablet', 'pending']]);
+        expect(() => mfa.enrollDevice('alice', 'Laptop')).toThrow('Device limit reached');
+        expect(mfa.revokeDevice('alice', phone.deviceId)).toBe(true);
+        expect(mfa.verifyTOTP('alice', mfa.generateTOTP(phone.secret))).toBe(false);
+    });
+
+    test('drops enrollments that are not confirmed in time', () => {
+        const mfa = new MultiFactorAuth({ otpValiditySeconds: 60 });
+        const { deviceId, secret } = mfa.enrollDevice('alice', 'Phone');
+
+        Date.now.mockReturnValue(NOW + 61000);
+        expect(mfa.confirmDevice('alice', deviceId, mfa.generateTOTP(secret))).toBe(false);
+        expect(mfa.listDevices('alice')).toEqual([]);
+    });
+
+    test('limits confirmation attempts like sign-in attempts', () => {
+        const mfa = new MultiFactorAuth({ lockout: { maxAttempts: 3, backoffBaseMs: 0 } });
+        const { deviceId, secret } = mfa.enrollDevice('alice', 'Phone');
+
+        for (const code of ['000000', '111111', '222222']) {
+            expect(mfa.confirmDevice('alice', deviceId, code)).toBe(false);
+        }
+
+        expect(mfa.confirmDevice('alice', deviceId, mfa.generateTOTP(secret))).toBe(false);
+        expect(mfa.checkLoginAllowed({ userId: 'alice' })).toMatchObject({ allowed: false, scope: 'user' });
+    });
+});
+
+describe('lockouts', () => {
+    test('backs off exponentially between failed attempts of a user', () => {
+        const mfa = new MultiFactorAuth({ lockout: { maxAttempts: 5, backoffBaseMs: 1000 } });
+        const subject = { userId: 'alice' };
+
+        mfa.recordLoginAttempt(subject, false);
+        expect(mfa.checkLoginAllowed(subject)).toMatchObject({ allowed: false, retryAfterMs: 1000 });
+        mfa.recordLoginAttempt(subject, false);
+        expect(mfa.checkLoginAllowed(subject)).toMatchObject({ allowed: false, retryAfterMs: 2000 });
+
+        Date.now.mockReturnValue(NOW + 2000);
+        expect(mfa.checkLoginAllowed(subject).allowed).toBe(true);
+    });
+
+    test('locks out for longer each time and reports lockouts to anomaly detection', () => {
+        const anomalyDetection = { recordSecurityEvent: jest.fn() };
+        const mfa = new MultiFactorAuth({ lockout: { maxAttempts: 2, backoffBaseMs: 0, lockoutMs: 60000 } },
+            { anomalyDetection });
+        const subject = { userId: 'alice', ip: '198.51.100.7' };
+
+        mfa.recordLoginAttempt(subject, false);
+        expect(mfa.recordLoginAttempt(subject, false)).toEqual([
+            expect.objectContaining({ scope: 'user', lockouts: 1, lockedUntil: NOW + 60000 })
+        ]);
+        expect(mfa.checkLoginAllowed(subject)).toMatchObject({ allowed: false, scope: 'user' });
+
+        Date.now.mockReturnValue(NOW + 60000);
+        mfa.recordLoginAttempt(subject, false);
+        expect(mfa.recordLoginAttempt(subject, false)[0])
+            .toMatchObject({ lockouts: 2, lockedUntil: NOW + 60000 + 120000 });
+        expect(anomalyDetection.recordSecurityEvent).toHaveBeenCalledTimes(2);
+    });
+
+    test('locks out a source IP trying many accounts, and lets administrators unlock it', () => {
+        const mfa = new MultiFactorAuth({ lockout: { ipMaxAttempts: 3, backoffBaseMs: 0 } });
+
+        for (const userId of ['alice', 'bob', 'carol']) {
+            mfa.recordLoginAttempt({ userId, ip: '198.51.100.7' }, false);
+        }
+        expect(mfa.checkLoginAllowed({ userId: 'dave', ip: '198.51.100.7' }))
+            .toMatchObject({ allowed: false, scope: 'ip' });
+
+        expect(mfa.unlock({ ip: '198.51.100.7' }, 'admin-1')).toBe(true);
+        expect(mfa.checkLoginAllowed({ userId: 'dave', ip: '198.51.100.7' }).allowed).toBe(true);
+        expect(mfa.getAuditTrail()).toContainEqual(expect.objectContaining({ event: 'unlock', adminId: 'admin-1' }));
+    });
+});
+
+describe('behavior risk', () => {
+    const DELHI = { latitude: 28.6139, longitude: 77.209 };
+    const MUMBAI = { latitude: 19.076, longitude: 72.8777 };
+
+    test('flags travel faster than possible since the last login', () => {
+        const mfa = new MultiFactorAuth();
+        mfa.recordLogin('alice', { location: DELHI });
+
+        Date.now.mockReturnValue(NOW + 30 * 60000);
+        expect(mfa.analyzeBehaviorRisk('alice', { location: MUMBAI })).toMatchObject({
+            impossibleTravel: true,
+            unusualLocation: true,
+            signals: expect.arrayContaining([expect.objectContaining({ signal: 'impossibleTravel' })])
+        });
+
+        Date.now.mockReturnValue(NOW + 3 * 3600000);
+        expect(mfa.analyzeBehaviorRisk('alice', { location: MUMBAI }).impossibleTravel).toBe(false);
+        expect(mfa.analyzeBehaviorRisk('alice', { location: DELHI }).unusualLocation).toBe(false);
+    });
+
+    test('dates logins by the server clock, not the client timestamp', () => {
+        const mfa = new MultiFactorAuth();
+        mfa.recordLogin('alice', { location: DELHI, timestamp: NOW + 365 * 24 * 3600000 });
+
+        expect(mfa.loginHistory.get('alice').lastLogin.at).toBe(NOW);
+
+        Date.now.mockReturnValue(NOW + 3 * 3600000);
+        expect(mfa.analyzeBehaviorRisk('alice', { location: MUMBAI, timestamp: NOW }).impossibleTravel).toBe(false);
+    });
+
+    test('learns the hours a user usually signs in at', () => {
+        const mfa = new MultiFactorAuth({ behavior: { minLoginsForHours: 3 } });
+        const night = new Date(NOW);
+        night.setHours(3, 0, 0, 0);
+        Date.now.mockReturnValue(night.getTime());
+
+        expect(mfa.analyzeBehaviorRisk('alice', {}).unusualTime).toBe(true);
+        for (let i = 0; i < 3; i++) mfa.recordLogin('alice', {});
+        expect(mfa.analyzeBehaviorRisk('alice', {}).unusualTime).toBe(false);
+    });
+
+    test('still accepts behavior data without a user, judged without history', () => {
+        const mfa = new MultiFactorAuth();
+        mfa.recordLogin('alice', { location: DELHI });
+
+        expect(mfa.analyzeBehaviorRisk({ location: MUMBAI, recentAttempts: 6 })).toMatchObject({
+            unusualLocation: false,
+            impossibleTravel: false,
+            suspiciousPattern: true
+        });
+    });
+});
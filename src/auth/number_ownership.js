@@ -0,0 +1,222 @@
+/**
+ * Customer Number Ownership Registry
+ * Records which telephone numbers each customer holds, so the signing side
+ * can decide the SHAKEN attestation level for outgoing calls
+ */
+
+const fs = require('fs');
+
+class NumberOwnershipRegistry {
+    constructor() {
+        this.customers = new Map();
+        this.numberOwners = new Map();
+    }
+
+    /**
+     * Strip a number down to its digits
+     * @param {string} number - Phone number
+     * @returns {string} - Digits only
+     */
+    normalizeNumber(number) {
+        return String(number || '').replace(/\D/g, '');
+    }
+
+    /**
+     * Register a customer
+     * @param {Object} customer - Customer definition ({ id, name })
+     * @returns {Object} - Registered customer
+     */
+    addCustomer(customer) {
+        if (!customer || !customer.id) {
+            throw new Error('Customer id is required');
+        }
+        if (this.customers.has(customer.id)) {
+            throw new Error(`Customer already registered: ${customer.id}`);
+        }
+
+        const registered = {
+            id: customer.id,
+            name: customer.name || customer.id,
+            numbers: new Map(),
+            createdAt: Date.now()
+        };
+        this.customers.set(registered.id, registered);
+        return registered;
+    }
+
+    /**
+     * Remove a customer and release all of its numbers
+     * @param {string} customerId - Customer identifier
+     * @returns {boolean} - Whether the customer existed
+     */
+    removeCustomer(customerId) {
+        const customer = this.customers.get(customerId);
+        if (!customer) return false;
+
+        for (const number of customer.numbers.keys()) {
+            this.numberOwners.delete(number);
+        }
+        return this.customers.delete(customerId);
+    }
+
+    /**
+     * Check whether a customer is registered
+     * @param {string} customerId - Customer identifier
+     * @returns {boolean} - Whether the customer is known
+     */
+    isKnownCustomer(customerId) {
+        return Boolean(customerId) && this.customers.has(customerId);
+    }
+
+    /**
+     * Assign a number to a customer
+     * @param {string} customerId - Customer identifier
+     * @param {string} number - Telephone number
+     * @param {Object} options - Assignment options ({ verified })
+     * @returns {Object} - Ownership record
+     */
+    assignNumber(customerId, number, options = {}) {
+        const customer = this.customers.get(customerId);
+        if (!customer) {
+            throw new Error(`Customer not found: ${customerId}`);
+        }
+
+        const digits = this.normalizeNumber(number);
+        if (!digits) throw new Error('Number is required');
+
+        const owner = this.numberOwners.get(digits);
+        if (owner && owner !== customerId) {
+            throw new Error(`Number ${digits} is already assigned to ${owner}`);
+        }
+
+        const record = {
+            number: digits,
+            verified: Boolean(options.verified),
+            verifiedAt: options.verified ? Date.now() : null
+        };
+        customer.numbers.set(digits, record);
+        this.numberOwners.set(digits, customerId);
+        return record;
+    }
+
+    /**
+     * Mark a customer's number as verified (e.g. after a letter of authorization check)
+     * @param {string} customerId - Customer identifier
+     * @param {string} number - Telephone number
+     * @returns {Object} - Ownership record
+     */
+    verifyNumber(customerId, number) {
+        const customer = this.customers.get(customerId);
+        const record = customer && customer.numbers.get(this.normalizeNumber(number));
+        if (!record) {
+            throw new Error(`Number ${number} is not assigned to ${customerId}`);
+        }
+
+        record.verified = true;
+        record.verifiedAt = Date.now();
+        return record;
+    }
+
+    /**
+     * Release a number from its owner
+     * @param {string} number - Telephone number
+     * @returns {boolean} - Whether the number was assigned
+     */
+    releaseNumber(number) {
+        const digits = this.normalizeNumber(number);
+        const owner = this.numberOwners.get(digits);
+        if (!owner) return false;
+
+        this.customers.get(owner).numbers.delete(digits);
+        return this.numberOwners.delete(digits);
+    }
+
+    /**
+     * Parse CSV records (customer_id,number,verified)
+     * @param {string} content - CSV content with a header line
+     * @returns {Array} - Raw records
+     */
+    parseCSV(content) {
+        const lines = content.split(/\r?\n/).filter(line => line.trim() && !line.startsWith('#'));
+        const header = lines.length ? lines[0].split(',').map(value => value.trim().toLowerCase()) : [];
+        if (header[0] !== 'customer_id' || header[1] !== 'number') {
+            throw new Error('Number ownership CSV must start with a customer_id,number,verified header');
+        }
+
+        return lines.slice(1).map(line => {
+            const [customerId, number, verified] = line.split(',').map(value => value.trim());
+            return { customerId, number, verified: verified === 'true' };
+        });
+    }
+
+    /**
+     * Assign numbers in bulk, registering unknown customers on the way. The whole
+     * batch is validated first, so an invalid record leaves the registry unchanged.
+     * @param {Array|string} records - Records ({ customerId, number, verified }), or CSV content
+     * @returns {Object} - Import summary
+     */
+    bulkImport(records) {
+        const rawRecords = typeof records === 'string' ? this.parseCSV(records) : records;
+
+        const batchOwners = new Map();
+        const assignments = rawRecords.map((record, index) => {
+            if (!record.customerId) {
+                throw new Error(`Ownership record ${index + 1} is missing a customer id`);
+            }
+            const digits = this.normalizeNumber(record.number);
+            if (!digits) throw new Error(`Ownership record ${index + 1} is missing a number`);
+
+            const owner = batchOwners.get(digits) || this.numberOwners.get(digits);
+            if (owner && owner !== record.customerId) {
+                throw new Error(`Number ${digits} is already assigned to ${owner}`);
+            }
+            batchOwners.set(digits, record.customerId);
+            return { customerId: record.customerId, number: digits, verified: Boolean(record.verified) };
+        });
+
+        for (const assignment of assignments) {
+            if (!this.customers.has(assignment.customerId)) {
+                this.addCustomer({ id: assignment.customerId });
+            }
+            this.assignNumber(assignment.customerId, assignment.number, { verified: assignment.verified });
+        }
+
+        return { imported: assignments.length, totalNumbers: this.numberOwners.size };
+    }
+
+    /**
+     * Import ownership records from a CSV file
+     * @param {string} filePath - Path to the CSV file
+     * @returns {Promise<Object>} - Import summary
+     */
+    async importFile(filePath) {
+        const content = await fs.promises.readFile(filePath, 'utf8');
+        return this.bulkImport(content);
+    }
+
+    /**
+     * Look up the owner of a number
+     * @param {string} number - Telephone number
+     * @returns {Object|null} - Ownership record with the owning customer id
+     */
+    lookup(number) {
+        const digits = this.normalizeNumber(number);
+        const owner = this.numberOwners.get(digits);
+        if (!owner) return null;
+
+        return { customerId: owner, ...this.customers.get(owner).numbers.get(digits) };
+    }
+
+    /**
+     * Check whether a customer holds a verified number
+     * @param {string} customerId - Customer identifier
+     * @param {string} number - Telephone number
+     * @returns {boolean} - Whether the customer owns the number and it is verified
+     */
+    ownsNumber(customerId, number) {
+        const record = this.lookup(number);
+        return Boolean(record) && record.customerId === customerId && record.verified;
+    }
+}
+
+module.exports = NumberOwnershipRegistry;
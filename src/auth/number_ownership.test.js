@@ -0,0 +1,49 @@
+const NumberOwnershipRegistry = require('./number_ownership');
+
+describe('NumberOwnershipRegistry bulk import', () => {
+    test('imports CSV records and registers unknown customers', () => {
+        const registry = new NumberOwnershipRegistry();
+
+        const summary = registry.bulkImport('customer_id,number,verified\n' +
+            'cust-1,+91 98765 43210,true\n' +
+            'cust-2,919812345678,false\n');
+
+        expect(summary).toEqual({ imported: 2, totalNumbers: 2 });
+        expect(registry.isKnownCustomer('cust-2')).toBe(true);
+        expect(registry.ownsNumber('cust-1', '+919876543210')).toBe(true);
+        expect(registry.lookup('919812345678')).toMatchObject({ customerId: 'cust-2', verified: false });
+    });
+
+    test('rejects CSV content without a header line', () => {
+        const registry = new NumberOwnershipRegistry();
+
+        expect(() => registry.bulkImport('cust-1,919876543210,true\ncust-2,919812345678,true\n'))
+            .toThrow('customer_id,number,verified header');
+        expect(registry.lookup('919812345678')).toBeNull();
+    });
+
+    test('leaves the registry unchanged when any record is invalid', () => {
+        const registry = new NumberOwnershipRegistry();
+        registry.addCustomer({ id: 'cust-1' });
+        registry.assignNumber('cust-1', '919876543210');
+
+        expect(() => registry.bulkImport([
+            { customerId: 'cust-2', number: '919812345678', verified: true },
+            { customerId: 'cust-2', number: '919876543210', verified: true }
+        ])).toThrow('already assigned to cust-1');
+
+        expect(registry.isKnownCustomer('cust-2')).toBe(false);
+        expect(registry.lookup('919812345678')).toBeNull();
+    });
+
+    test('rejects a number claimed by two customers in the same batch', () => {
+        const registry = new NumberOwnershipRegistry();
+
+        expect(() => registry.bulkImport([
+            { customerId: 'cust-1', number: '919876543210' },
+            { customerId: 'cust-2', number: '+91 98765 43210' }
+        ])).toThrow('already assigned to cust-1');
+
+        expect(registry.numberOwners.size).toBe(0);
+    });
+});
@@ -0,0 +1,224 @@
+/**
+ * Official Caller Registry
+ * Verified government and law-enforcement numbers, so citizens can check whether
+ * a caller claiming to be police, CBI or customs really calls from an agency number.
+ * Changes are restricted to registry administrators who pass multi-factor authentication.
+ */
+
+/**
+ * Create a registry administration error
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @returns {Error} - Administration error
+ */
+function adminError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+class OfficialCallerRegistry {
+    /**
+     * @param {Object} options - Registry options
+     * @param {MultiFactorAuth} options.mfa - Authenticates administrators
+     * @param {Array} options.admins - User identifiers allowed to change the registry
+     * @param {string} options.countryCode - Country code assumed for nationally formatted numbers
+     */
+    constructor(options = {}) {
+        if (!options.mfa) {
+            throw new Error('Official caller registry requires multi-factor authentication');
+        }
+        this.mfa = options.mfa;
+        this.admins = new Set(options.admins || []);
+        this.countryCode = options.countryCode || '91';
+        this.numbers = new Map();
+        this.auditTrail = [];
+    }
+
+    /**
+     * Bring a number to E.164 digits, so citizens can look up numbers as they were displayed
+     * @param {string} number - Phone number, e.g. '+91 11 2345 6789' or '011-23456789'
+     * @returns {string} - E.164 digits without the leading +
+     */
+    normalizeNumber(number) {
+        const text = String(number || '').trim();
+        const digits = text.replace(/\D/g, '');
+        if (!text.startsWith('+') && /^0?\d{10}$/.test(digits)) {
+            return this.countryCode + digits.slice(-10);
+        }
+        return digits;
+    }
+
+    /**
+     * Authenticate an administrator for a registry change
+     * @param {Object} authRequest - MFA request ({ userId, totpCode, behaviorData })
+     * @returns {Promise<string>} - Authenticated administrator
+     */
+    async authorizeAdmin(authRequest = {}) {
+        if (!this.admins.has(authRequest.userId)) {
+            throw adminError('ADMIN_NOT_AUTHORIZED', `User is not a registry administrator: ${authRequest.userId}`);
+        }
+
+        const result = await this.mfa.authenticate({ behaviorData: {}, ...authRequest });
+        if (!result.success) {
+            throw adminError('MFA_FAILED', `Multi-factor authentication failed: ${result.error}`);
+        }
+        if (result.requiresAdditionalVerification) {
+            throw adminError('ADDITIONAL_VERIFICATION_REQUIRED', 'Registry change needs additional verification');
+        }
+        return authRequest.userId;
+    }
+
+    /**
+     * Record a registry change
+     * @param {string} action - Change made
+     * @param {string} number - Affected number
+     * @param {string} userId - Administrator
+     */
+    audit(action, number, userId) {
+        this.auditTrail.push({ action, number, userId, at: Date.now() });
+    }
+
+    /**
+     * Register a verified official number, or replace the details of a registered one
+     * @param {Object} authRequest - Administrator MFA request
+     * @param {Object} entry - Number details
+     * @param {string} entry.number - Telephone number
+     * @param {string} entry.agency - Agency name, e.g. 'Central Bureau of Investigation'
+     * @param {string} entry.displayName - Caller name shown to the called party; defaults to the agency
+     * @param {string} entry.icon - Logo URL for Rich Call Data
+     * @param {string} entry.reason - Call reason for Rich Call Data
+     * @param {number} entry.validFrom - Start of the validity period
+     * @param {number} entry.validUntil - End of the validity period
+     * @returns {Promise<Object>} - Registered number
+     */
+    async registerNumber(authRequest, entry = {}) {
+        const userId = await this.authorizeAdmin(authRequest);
+
+        const number = this.normalizeNumber(entry.number);
+        if (!number || !entry.agency) {
+            throw new Error('Official number and agency are required');
+        }
+        const validFrom = entry.validFrom !== undefined ? new Date(entry.validFrom).getTime() : Date.now();
+        const validUntil = entry.validUntil !== undefined ? new Date(entry.validUntil).getTime() : Infinity;
+        if (!(validUntil > validFrom)) {
+            throw new Error(`Invalid validity period for ${number}`);
+        }
+
+        const record = {
+            number,
+            agency: entry.agency,
+            displayName: entry.displayName || entry.agency,
+            icon: entry.icon || null,
+            reason: entry.reason || null,
+            validFrom,
+            validUntil,
+            registeredBy: userId,
+            registeredAt: Date.now(),
+            revokedAt: null
+        };
+        this.audit(this.numbers.has(number) ? 'update' : 'register', number, userId);
+        this.numbers.set(number, record);
+        return record;
+    }
+
+    /**
+     * Withdraw an official number, e.g. when an agency gives it up
+     * @param {Object} authRequest - Administrator MFA request
+     * @param {string} number - Telephone number
+     * @returns {Promise<boolean>} - Whether the number was registered
+     */
+    async revokeNumber(authRequest, number) {
+        const userId = await this.authorizeAdmin(authRequest);
+
+        const record = this.numbers.get(this.normalizeNumber(number));
+        if (!record || record.revokedAt) return false;
+
+        record.revokedAt = Date.now();
+        this.audit('revoke', record.number, userId);
+        return true;
+    }
+
+    /**
+     * Get the registry status of a number
+     * @param {Object} record - Registry record
+     * @param {number} at - Reference time
+     * @returns {string} - 'active', 'pending', 'expired' or 'revoked'
+     */
+    getStatus(record, at) {
+        if (record.revokedAt) return 'revoked';
+        if (at < record.validFrom) return 'pending';
+        if (at >= record.validUntil) return 'expired';
+        return 'active';
+    }
+
+    /**
+     * Get the active registry record of a number
+     * @param {string} number - Telephone number
+     * @param {number} at - Reference time
+     * @returns {Object|null} - Record, if the number is currently registered
+     */
+    getActiveRecord(number, at = Date.now()) {
+        const record = this.numbers.get(this.normalizeNumber(number));
+        return record && this.getStatus(record, at) === 'active' ? record : null;
+    }
+
+    /**
+     * Citizen lookup: check whether a calling number belongs to an agency.
+     * Only public details are returned.
+     * @param {string} number - Calling number
+     * @param {number} at - Reference time
+     * @returns {Object} - Lookup result ({ number, registered, status, agency, validUntil })
+     */
+    lookup(number, at = Date.now()) {
+        const digits = this.normalizeNumber(number);
+        const record = this.numbers.get(digits);
+        if (!record) {
+            return { number: digits, registered: false, status: 'unregistered', agency: null, validUntil: null };
+        }
+
+        const status = this.getStatus(record, at);
+        return {
+            number: digits,
+            registered: status === 'active',
+            status,
+            agency: record.agency,
+            validUntil: Number.isFinite(record.validUntil) ? record.validUntil : null
+        };
+    }
+
+    /**
+     * Get the Rich Call Data branding of an active official number
+     * @param {string} number - Calling number
+     * @param {number} at - Reference time
+     * @returns {Object|null} - Branding ({ name, icon, reason })
+     */
+    getBranding(number, at = Date.now()) {
+        const record = this.getActiveRecord(number, at);
+        if (!record) return null;
+        return { name: record.displayName, icon: record.icon, reason: record.reason };
+    }
+
+    /**
+     * List registered numbers
+     * @param {Object} filters - Optional filters ({ agency, status })
+     * @returns {Array} - Registry records with their current status
+     */
+    listNumbers(filters = {}) {
+        const now = Date.now();
+        return Array.from(this.numbers.values())
+            .map(record => ({ ...record, status: this.getStatus(record, now) }))
+            .filter(record => !filters.agency || record.agency === filters.agency)
+            .filter(record => !filters.status || record.status === filters.status);
+    }
+
+    /**
+     * Get the registry change history
+     * @returns {Array} - Audit entries ({ action, number, userId, at })
+     */
+    getAuditTrail() {
+        return this.auditTrail.slice();
+    }
+}
+
+module.exports = OfficialCallerRegistry;
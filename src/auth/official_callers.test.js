@@ -0,0 +1,59 @@
+const OfficialCallerRegistry = require('./official_callers');
+
+const ADMIN = { userId: 'admin-1', totpCode: '123456' };
+
+function createRegistry(mfaResult = { success: true }) {
+    const mfa = { authenticate: jest.fn().mockResolvedValue(mfaResult) };
+    return new OfficialCallerRegistry({ mfa, admins: ['admin-1'] });
+}
+
+describe('OfficialCallerRegistry', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('lets citizens look up agency numbers as they were displayed', async () => {
+        const registry = createRegistry();
+        await registry.registerNumber(ADMIN, { number: '011-23456789', agency: 'Central Bureau of Investigation' });
+
+        expect(registry.lookup('+91 11 2345 6789')).toEqual({
+            number: '911123456789',
+            registered: true,
+            status: 'active',
+            agency: 'Central Bureau of Investigation',
+            validUntil: null
+        });
+        expect(registry.lookup('+911199999999')).toMatchObject({ registered: false, status: 'unregistered' });
+    });
+
+    test('only brands numbers inside their validity period and until revoked', async () => {
+        const registry = createRegistry();
+        const now = Date.now();
+        jest.spyOn(Date, 'now').mockReturnValue(now);
+        await registry.registerNumber(ADMIN, {
+            number: '+911123456789',
+            agency: 'Customs',
+            reason: 'Parcel inspection',
+            validUntil: now + 60000
+        });
+
+        expect(registry.getBranding('+911123456789', now))
+            .toEqual({ name: 'Customs', icon: null, reason: 'Parcel inspection' });
+        expect(registry.lookup('+911123456789', now + 60000).status).toBe('expired');
+
+        expect(await registry.revokeNumber(ADMIN, '+911123456789')).toBe(true);
+        expect(registry.getBranding('+911123456789', now)).toBeNull();
+        expect(registry.getAuditTrail().map(entry => entry.action)).toEqual(['register', 'revoke']);
+    });
+
+    test('restricts changes to administrators who pass MFA', async () => {
+        const entry = { number: '+911123456789', agency: 'Police' };
+
+        await expect(createRegistry().registerNumber({ userId: 'intruder' }, entry))
+            .rejects.toMatchObject({ code: 'ADMIN_NOT_AUTHORIZED' });
+        await expect(createRegistry({ success: false, error: 'Invalid TOTP code' }).registerNumber(ADMIN, entry))
+            .rejects.toMatchObject({ code: 'MFA_FAILED' });
+        await expect(createRegistry({ success: true, requiresAdditionalVerification: true }).registerNumber(ADMIN, entry))
+            .rejects.toMatchObject({ code: 'ADDITIONAL_VERIFICATION_REQUIRED' });
+    });
+});
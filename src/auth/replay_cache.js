@@ -0,0 +1,102 @@
+/**
+ * PASSporT Replay Protection
+ * Remembers verified PASSporTs for as long as they are fresh, so a token
+ * captured from one call cannot be reused on another
+ *
+ * Stores implement: async setIfAbsent(key, ttlMs) -> true when the key was stored,
+ * false when it already existed. A shared store (e.g. Redis SET NX PX) lets several
+ * instances see each other's tokens.
+ */
+
+class MemoryReplayStore {
+    /**
+     * @param {Object} options - Store options
+     * @param {number} options.maxEntries - Maximum remembered tokens; the oldest are evicted first
+     */
+    constructor(options = {}) {
+        this.maxEntries = options.maxEntries || 100000;
+        this.entries = new Map();
+    }
+
+    /**
+     * Drop expired entries. TTLs follow each token's iat, so a later entry can
+     * expire before an earlier one and the whole map is scanned.
+     * @param {number} now - Current time
+     */
+    purgeExpired(now) {
+        for (const [key, expiresAt] of this.entries) {
+            if (expiresAt <= now) this.entries.delete(key);
+        }
+    }
+
+    /**
+     * Store a key unless a live entry already exists
+     * @param {string} key - Replay key
+     * @param {number} ttlMs - Time to remember the key
+     * @returns {Promise<boolean>} - Whether the key was stored
+     */
+    async setIfAbsent(key, ttlMs) {
+        const now = Date.now();
+        this.purgeExpired(now);
+
+        const expiresAt = this.entries.get(key);
+        if (expiresAt !== undefined && expiresAt > now) {
+            return false;
+        }
+
+        this.entries.delete(key);
+        this.entries.set(key, now + ttlMs);
+        if (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+        return true;
+    }
+
+    /**
+     * Get the number of remembered tokens
+     * @returns {number} - Entry count
+     */
+    size() {
+        return this.entries.size;
+    }
+}
+
+class ReplayCache {
+    /**
+     * @param {Object} options - Cache options
+     * @param {number} options.windowSeconds - PASSporT freshness window; tokens are remembered until it closes
+     * @param {number} options.maxEntries - Memory bound of the default store
+     * @param {Object} options.store - Shared store implementing setIfAbsent(key, ttlMs)
+     */
+    constructor(options = {}) {
+        this.windowSeconds = options.windowSeconds || 300;
+        this.store = options.store || new MemoryReplayStore({ maxEntries: options.maxEntries });
+    }
+
+    /**
+     * Build the replay key of a PASSporT
+     * @param {Object} claims - PASSporT claims
+     * @returns {string} - Replay key
+     */
+    getKey(claims) {
+        const dest = claims.dest && Array.isArray(claims.dest.tn) ? claims.dest.tn.join(',') : '';
+        return [claims.origid || '', claims.orig ? claims.orig.tn : '', dest, claims.iat].join('|');
+    }
+
+    /**
+     * Record a verified PASSporT and report whether it was seen before
+     * @param {Object} claims - PASSporT claims
+     * @returns {Promise<boolean>} - Whether the PASSporT is a replay
+     */
+    async isReplay(claims) {
+        // A token is accepted until iat + window, so it must be remembered at least that long
+        const ttlMs = Math.max((claims.iat + this.windowSeconds) * 1000 - Date.now(), 1000);
+        const stored = await this.store.setIfAbsent(this.getKey(claims), ttlMs);
+        return !stored;
+    }
+}
+
+module.exports = {
+    ReplayCache,
+    MemoryReplayStore
+};
@@ -0,0 +1,52 @@
+const { ReplayCache, MemoryReplayStore } = require('./replay_cache');
+
+const CLAIMS = { iat: 1700000000, orig: { tn: '919876543210' }, dest: { tn: ['911123456789'] }, origid: 'a1' };
+
+describe('ReplayCache', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('reports a PASSporT as replayed the second time it is seen', async () => {
+        jest.spyOn(Date, 'now').mockReturnValue(CLAIMS.iat * 1000);
+        const cache = new ReplayCache({ windowSeconds: 60 });
+
+        expect(await cache.isReplay(CLAIMS)).toBe(false);
+        expect(await cache.isReplay(CLAIMS)).toBe(true);
+        expect(await cache.isReplay({ ...CLAIMS, origid: 'a2' })).toBe(false);
+    });
+
+    test('forgets PASSporTs once their freshness window has closed', async () => {
+        const now = jest.spyOn(Date, 'now').mockReturnValue(CLAIMS.iat * 1000);
+        const cache = new ReplayCache({ windowSeconds: 60 });
+        await cache.isReplay(CLAIMS);
+
+        now.mockReturnValue((CLAIMS.iat + 61) * 1000);
+        expect(await cache.isReplay(CLAIMS)).toBe(false);
+    });
+
+    test('evicts the oldest entries beyond its bound', async () => {
+        const store = new MemoryReplayStore({ maxEntries: 2 });
+
+        await store.setIfAbsent('a', 60000);
+        await store.setIfAbsent('b', 60000);
+        await store.setIfAbsent('c', 60000);
+
+        expect(store.size()).toBe(2);
+        expect(await store.setIfAbsent('a', 60000)).toBe(true);
+        expect(await store.setIfAbsent('c', 60000)).toBe(false);
+    });
+
+    test('purges expired entries stored after a longer-lived one', async () => {
+        const now = jest.spyOn(Date, 'now').mockReturnValue(1000000);
+        const store = new MemoryReplayStore();
+        await store.setIfAbsent('long', 60000);
+        await store.setIfAbsent('short', 1000);
+
+        now.mockReturnValue(1000000 + 2000);
+        await store.setIfAbsent('other', 60000);
+
+        expect(store.entries.has('short')).toBe(false);
+        expect(store.size()).toBe(2);
+    });
+});
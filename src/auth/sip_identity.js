@@ -0,0 +1,150 @@
+/**
+ * SIP Identity Header Handling (RFC 8224 / RFC 8588)
+ * Parses and generates Identity header values carrying PASSporTs, and rebuilds
+ * compact-form PASSporTs from the SIP request they were sent with
+ */
+
+/**
+ * Split a header line on commas that are outside angle brackets and quotes
+ * (several Identity values may be folded into one line)
+ * @param {string} line - Header line
+ * @returns {Array} - Individual header values
+ */
+function splitHeaderValues(line) {
+    const values = [];
+    let current = '';
+    let inBrackets = false;
+    let inQuotes = false;
+
+    for (const char of line) {
+        if (char === '"' && !inBrackets) inQuotes = !inQuotes;
+        if (char === '<' && !inQuotes) inBrackets = true;
+        if (char === '>' && !inQuotes) inBrackets = false;
+
+        if (char === ',' && !inBrackets && !inQuotes) {
+            values.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    values.push(current);
+
+    return values.map(value => value.trim()).filter(Boolean);
+}
+
+/**
+ * Parse a single Identity header value
+ * @param {string} value - e.g. "<jws>;info=<https://cert.example.org/sp.pem>;alg=ES256;ppt=shaken"
+ * @returns {Object} - Parsed identity ({ token, compact, info, alg, ppt, params })
+ */
+function parseIdentityHeader(value) {
+    const text = String(value || '').replace(/^Identity\s*:\s*/i, '').trim();
+    const separator = text.indexOf(';');
+    const token = (separator === -1 ? text : text.slice(0, separator)).trim();
+
+    const segments = token.split('.');
+    if (segments.length !== 3 || !segments[0] || !segments[2]) {
+        throw new Error('Identity header does not contain a JWS');
+    }
+
+    const params = {};
+    const paramText = separator === -1 ? '' : text.slice(separator + 1);
+    for (const match of paramText.matchAll(/\s*([\w-]+)\s*=\s*(<[^>]*>|"[^"]*"|[^;]*)\s*(?:;|$)/g)) {
+        params[match[1].toLowerCase()] = match[2].trim().replace(/^[<"]|[>"]$/g, '');
+    }
+    if (!params.info) {
+        throw new Error('Identity header is missing the info parameter');
+    }
+
+    return {
+        token,
+        compact: segments[1] === '',
+        info: params.info,
+        alg: params.alg || null,
+        ppt: params.ppt || null,
+        params
+    };
+}
+
+/**
+ * Parse every Identity header of a request
+ * @param {string|Array} headers - Identity header line(s)
+ * @returns {Array} - Parsed identities, in the order received
+ */
+function parseIdentityHeaders(headers) {
+    const lines = Array.isArray(headers) ? headers : [headers];
+    return lines
+        .flatMap(line => splitHeaderValues(String(line || '').replace(/^Identity\s*:\s*/i, '')))
+        .map(parseIdentityHeader);
+}
+
+/**
+ * Generate an Identity header value
+ * @param {Object} identity - Identity ({ token, info, alg, ppt, compact })
+ * @returns {string} - Header value
+ */
+function formatIdentityHeader(identity) {
+    let token = identity.token;
+    if (identity.compact) {
+        const [header, , signature] = token.split('.');
+        token = `${header}..${signature}`;
+    }
+
+    let value = `${token};info=<${identity.info}>`;
+    if (identity.alg) value += `;alg=${identity.alg}`;
+    if (identity.ppt) value += `;ppt=${identity.ppt}`;
+    return value;
+}
+
+/**
+ * Extract the telephone number of a From / To header or URI
+ * @param {string} header - e.g. '"Bank" <sip:+919800000042@example.com;user=phone>;tag=1'
+ * @returns {string|null} - Canonical telephone number (digits only)
+ */
+function extractTelephoneNumber(header) {
+    const text = String(header || '');
+    const bracketed = text.match(/<([^>]*)>/);
+    const uri = bracketed ? bracketed[1] : text.split(';')[0];
+
+    const match = uri.match(/^\s*(?:sips?:|tel:)?\+?([\d\-.()]+)/i);
+    if (!match) return null;
+    const digits = match[1].replace(/\D/g, '');
+    return digits || null;
+}
+
+/**
+ * Rebuild a compact-form PASSporT from the SIP request it arrived with.
+ * Only the base claims (dest, iat, orig) can be recovered, so extensions whose
+ * claims are not carried in SIP (such as shaken) must use the full form.
+ * @param {Object} identity - Parsed compact identity
+ * @param {Object} sip - SIP request fields ({ from, to, date })
+ * @returns {string} - Full-form PASSporT
+ */
+function reconstructPASSporT(identity, sip = {}) {
+    const orig = extractTelephoneNumber(sip.from);
+    const dest = extractTelephoneNumber(sip.to);
+    const date = new Date(sip.date).getTime();
+    if (!orig || !dest || Number.isNaN(date)) {
+        throw new Error('SIP request lacks the From, To or Date needed to rebuild the PASSporT');
+    }
+
+    // Claims are serialized in lexicographic order, as the signer did (RFC 8225 Section 9)
+    const payload = {
+        dest: { tn: [dest] },
+        iat: Math.floor(date / 1000),
+        orig: { tn: orig }
+    };
+    const [header, , signature] = identity.token.split('.');
+    const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return `${header}.${encoded}.${signature}`;
+}
+
+module.exports = {
+    splitHeaderValues,
+    parseIdentityHeader,
+    parseIdentityHeaders,
+    formatIdentityHeader,
+    extractTelephoneNumber,
+    reconstructPASSporT
+};
@@ -0,0 +1,62 @@
+const sipIdentity = require('./sip_identity');
+
+const TOKEN = 'eyJhbGciOiJFUzI1NiJ9.eyJpYXQiOjF9.c2lnbmF0dXJl';
+
+describe('SIP Identity headers', () => {
+    test('round-trips a full-form Identity header', () => {
+        const value = sipIdentity.formatIdentityHeader({
+            token: TOKEN,
+            info: 'https://cr.example.org/a.pem',
+            alg: 'ES256',
+            ppt: 'shaken'
+        });
+
+        expect(sipIdentity.parseIdentityHeader(value)).toMatchObject({
+            token: TOKEN,
+            compact: false,
+            info: 'https://cr.example.org/a.pem',
+            alg: 'ES256',
+            ppt: 'shaken'
+        });
+    });
+
+    test('splits several identities in one header line without breaking quoted parameters', () => {
+        const line = `Identity: ${TOKEN};info=<https://cr.example.org/a,b.pem>;ppt="shaken", ` +
+            `${TOKEN};info=<https://cr.example.org/c.pem>;ppt="div"`;
+        const identities = sipIdentity.parseIdentityHeaders(line);
+
+        expect(identities.map(identity => identity.ppt)).toEqual(['shaken', 'div']);
+        expect(identities[0].info).toBe('https://cr.example.org/a,b.pem');
+    });
+
+    test('recognizes compact-form tokens', () => {
+        const [header, , signature] = TOKEN.split('.');
+
+        expect(sipIdentity.parseIdentityHeader(`${header}..${signature};info=<https://x/a.pem>`).compact).toBe(true);
+        expect(() => sipIdentity.parseIdentityHeader('not-a-token')).toThrow();
+    });
+
+    test('extracts telephone numbers from SIP and tel URIs', () => {
+        expect(sipIdentity.extractTelephoneNumber('"Bank" <sip:+91-98765-43210@example.org;user=phone>'))
+            .toBe('919876543210');
+        expect(sipIdentity.extractTelephoneNumber('tel:+911123456789')).toBe('911123456789');
+        expect(sipIdentity.extractTelephoneNumber('<sip:alice@example.org>')).toBeNull();
+    });
+
+    test('rebuilds a compact PASSporT from the SIP request', () => {
+        const [header, , signature] = TOKEN.split('.');
+        const rebuilt = sipIdentity.reconstructPASSporT({ token: `${header}..${signature}` }, {
+            from: '<sip:+919876543210@example.org>',
+            to: '<tel:+911123456789>',
+            date: 'Tue, 01 Oct 2024 10:00:00 GMT'
+        });
+        const payload = JSON.parse(Buffer.from(rebuilt.split('.')[1], 'base64url').toString('utf8'));
+
+        expect(payload).toEqual({
+            dest: { tn: ['911123456789'] },
+            iat: Date.parse('2024-10-01T10:00:00Z') / 1000,
+            orig: { tn: '919876543210' }
+        });
+        expect(() => sipIdentity.reconstructPASSporT({ token: TOKEN }, {})).toThrow('SIP request lacks');
+    });
+});
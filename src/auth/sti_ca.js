@@ -0,0 +1,419 @@
+/**
+ * Development STI Certificate Authority
+ * Issues SHAKEN certificates with TNAuthList extensions (RFC 8226) and CRLs so
+ * STIR/SHAKEN signing and verification can be exercised offline.
+ * Not for production use: CA keys live in memory.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const asn1 = require('../utils/asn1');
+
+const OIDS = {
+    commonName: '2.5.4.3',
+    organization: '2.5.4.10',
+    country: '2.5.4.6',
+    ecdsaWithSHA256: '1.2.840.10045.4.3.2',
+    basicConstraints: '2.5.29.19',
+    keyUsage: '2.5.29.15',
+    subjectKeyIdentifier: '2.5.29.14',
+    authorityKeyIdentifier: '2.5.29.35',
+    crlDistributionPoints: '2.5.29.31',
+    crlNumber: '2.5.29.20',
+    tnAuthList: '1.3.6.1.5.5.7.1.26'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Wrap DER data in PEM armour
+ * @param {string} label - PEM label
+ * @param {Buffer} der - DER data
+ * @returns {string} - PEM text
+ */
+function toPem(label, der) {
+    const lines = der.toString('base64').match(/.{1,64}/g);
+    return `-----BEGIN ${label}-----\n${lines.join('\n')}\n-----END ${label}-----\n`;
+}
+
+class DevelopmentSTICA {
+    /**
+     * @param {Object} options - CA options
+     * @param {string} options.directory - Directory certificates and CRLs are published to
+     * @param {string} options.baseUrl - URL prefix the directory is served under (x5u / CRL URLs)
+     * @param {number} options.validityDays - Default end-entity certificate validity
+     * @param {string} options.organization - Organization name placed in subjects
+     */
+    constructor(options = {}) {
+        this.directory = options.directory || null;
+        this.baseUrl = (options.baseUrl || 'https://sti-ca.local').replace(/\/$/, '');
+        this.validityDays = options.validityDays || 30;
+        this.organization = options.organization || 'Development STI-CA';
+        this.authorities = new Map();
+        this.issued = new Map();
+    }
+
+    /**
+     * Build an X.501 Name
+     * @param {string} commonName - Common name
+     * @returns {Buffer} - DER Name
+     */
+    buildName(commonName) {
+        const attribute = (type, value) => asn1.set(asn1.sequence(asn1.oid(type), value));
+        return asn1.sequence(
+            attribute(OIDS.country, asn1.encode(0x13, Buffer.from('IN', 'ascii'))),
+            attribute(OIDS.organization, asn1.utf8String(this.organization)),
+            attribute(OIDS.commonName, asn1.utf8String(commonName))
+        );
+    }
+
+    /**
+     * Build a certificate extension
+     * @param {string} type - Extension OID
+     * @param {boolean} critical - Whether the extension is critical
+     * @param {Buffer} value - DER extension value
+     * @returns {Buffer} - DER Extension
+     */
+    buildExtension(type, critical, value) {
+        return asn1.sequence(
+            asn1.oid(type),
+            ...(critical ? [asn1.boolean(true)] : []),
+            asn1.octetString(value)
+        );
+    }
+
+    /**
+     * Encode a TNAuthList (RFC 8226 Section 9)
+     * @param {Object} authorization - Authorized { spc, numbers, ranges: [{ start, count }] }
+     * @returns {Buffer} - DER TNAuthList
+     */
+    buildTNAuthList(authorization) {
+        const digits = number => String(number).replace(/\D/g, '');
+        const entries = [
+            ...[].concat(authorization.spc || []).map(spc => asn1.contextTag(0, asn1.ia5String(spc))),
+            ...(authorization.ranges || []).map(range => asn1.contextTag(1, asn1.sequence(
+                asn1.ia5String(digits(range.start)),
+                asn1.integer(range.count)
+            ))),
+            ...(authorization.numbers || []).map(number => asn1.contextTag(2, asn1.ia5String(digits(number))))
+        ];
+        if (!entries.length) {
+            throw new Error('A SHAKEN certificate needs at least one SPC, number or range');
+        }
+        return asn1.sequence(...entries);
+    }
+
+    /**
+     * Key identifier: SHA-1 of the subject public key bits (RFC 5280 Section 4.2.1.2)
+     * @param {KeyObject} publicKey - Public key
+     * @returns {Buffer} - Key identifier
+     */
+    keyIdentifier(publicKey) {
+        const spki = asn1.parse(publicKey.export({ type: 'spki', format: 'der' }));
+        return crypto.createHash('sha1').update(spki.children[1].value.subarray(1)).digest();
+    }
+
+    /**
+     * Generate a positive random serial number
+     * @returns {Buffer} - Serial number bytes
+     */
+    generateSerial() {
+        const serial = crypto.randomBytes(16);
+        serial[0] = (serial[0] & 0x7f) || 0x01;
+        return serial;
+    }
+
+    /**
+     * Sign a TBS structure and assemble the signed object (certificate or CRL)
+     * @param {Buffer} tbs - DER to-be-signed structure
+     * @param {KeyObject} signingKey - Issuer private key
+     * @returns {Buffer} - DER signed object
+     */
+    signStructure(tbs, signingKey) {
+        const signature = crypto.sign('sha256', tbs, signingKey);
+        return asn1.sequence(tbs, asn1.sequence(asn1.oid(OIDS.ecdsaWithSHA256)), asn1.bitString(signature));
+    }
+
+    /**
+     * Create and sign a certificate
+     * @param {Object} spec - Certificate specification
+     * @returns {Object} - Issued certificate ({ serialNumber, der, pem, certificate })
+     */
+    createCertificate(spec) {
+        const serial = this.generateSerial();
+        const notBefore = spec.notBefore || Date.now() - 60 * 1000;
+        const notAfter = spec.notAfter || notBefore + spec.validityDays * DAY_MS;
+        const issuerKeyId = this.keyIdentifier(spec.issuerPublicKey);
+
+        const extensions = [
+            this.buildExtension(OIDS.basicConstraints, true, spec.ca ?
+                asn1.sequence(asn1.boolean(true), ...(spec.pathLength !== undefined ? [asn1.integer(spec.pathLength)] : [])) :
+                asn1.sequence()),
+            // keyCertSign + cRLSign for CAs, digitalSignature for end entities
+            this.buildExtension(OIDS.keyUsage, true, spec.ca ?
+                asn1.bitString(Buffer.from([0x06]), 1) :
+                asn1.bitString(Buffer.from([0x80]), 7)),
+            this.buildExtension(OIDS.subjectKeyIdentifier, false, asn1.octetString(this.keyIdentifier(spec.publicKey))),
+            this.buildExtension(OIDS.authorityKeyIdentifier, false,
+                asn1.sequence(asn1.contextTag(0, issuerKeyId, false)))
+        ];
+        if (spec.crlUrl) {
+            extensions.push(this.buildExtension(OIDS.crlDistributionPoints, false, asn1.sequence(
+                asn1.sequence(asn1.contextTag(0, asn1.contextTag(0,
+                    asn1.contextTag(6, Buffer.from(spec.crlUrl, 'ascii'), false))))
+            )));
+        }
+        if (spec.tnAuthList) {
+            extensions.push(this.buildExtension(OIDS.tnAuthList, false, spec.tnAuthList));
+        }
+
+        const tbs = asn1.sequence(
+            asn1.contextTag(0, asn1.integer(2)),
+            asn1.integer(serial),
+            asn1.sequence(asn1.oid(OIDS.ecdsaWithSHA256)),
+            spec.issuerName,
+            asn1.sequence(asn1.time(notBefore), asn1.time(notAfter)),
+            this.buildName(spec.commonName),
+            spec.publicKey.export({ type: 'spki', format: 'der' }),
+            asn1.contextTag(3, asn1.sequence(...extensions))
+        );
+
+        const der = this.signStructure(tbs, spec.issuerPrivateKey);
+        const certificate = new crypto.X509Certificate(der);
+        return { serialNumber: certificate.serialNumber, der, pem: toPem('CERTIFICATE', der), certificate };
+    }
+
+    /**
+     * Create a self-signed root CA
+     * @param {Object} options - Root options ({ name, validityDays })
+     * @returns {Object} - Root CA ({ name, certificate, pem })
+     */
+    createRoot(options = {}) {
+        const name = options.name || 'root';
+        const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+        const issuerName = this.buildName(`${this.organization} ${name}`);
+
+        const issued = this.createCertificate({
+            commonName: `${this.organization} ${name}`,
+            issuerName,
+            issuerPublicKey: publicKey,
+            issuerPrivateKey: privateKey,
+            publicKey,
+            ca: true,
+            validityDays: options.validityDays || 3650
+        });
+
+        return this.registerAuthority(name, issued, { privateKey, name: issuerName, chain: [] });
+    }
+
+    /**
+     * Create an intermediate CA under an existing authority
+     * @param {string} issuer - Issuing authority name
+     * @param {Object} options - Intermediate options ({ name, validityDays })
+     * @returns {Object} - Intermediate CA ({ name, certificate, pem })
+     */
+    createIntermediate(issuer, options = {}) {
+        const parent = this.getAuthority(issuer);
+        const name = options.name || `${issuer}-intermediate`;
+        const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+        const subjectName = this.buildName(`${this.organization} ${name}`);
+
+        const issued = this.createCertificate({
+            commonName: `${this.organization} ${name}`,
+            issuerName: parent.name,
+            issuerPublicKey: parent.certificate.publicKey,
+            issuerPrivateKey: parent.privateKey,
+            publicKey,
+            ca: true,
+            pathLength: 0,
+            crlUrl: this.getCRLUrl(issuer),
+            validityDays: options.validityDays || 1825
+        });
+
+        return this.registerAuthority(name, issued, {
+            privateKey,
+            name: subjectName,
+            chain: [issued.pem, ...parent.chain]
+        });
+    }
+
+    /**
+     * Record a CA so it can issue certificates
+     * @param {string} name - Authority name
+     * @param {Object} issued - Issued CA certificate
+     * @param {Object} details - Key, subject name and chain (the authority and its parents, excluding the root)
+     * @returns {Object} - Authority description
+     */
+    registerAuthority(name, issued, details) {
+        if (this.authorities.has(name)) {
+            throw new Error(`Authority already exists: ${name}`);
+        }
+
+        this.authorities.set(name, {
+            ...details,
+            certificate: issued.certificate,
+            pem: issued.pem,
+            revoked: new Map(),
+            crlNumber: 0
+        });
+        return { name, certificate: issued.certificate, pem: issued.pem };
+    }
+
+    /**
+     * Get an authority by name
+     * @param {string} name - Authority name
+     * @returns {Object} - Authority
+     */
+    getAuthority(name) {
+        const authority = this.authorities.get(name);
+        if (!authority) {
+            throw new Error(`Unknown certificate authority: ${name}`);
+        }
+        return authority;
+    }
+
+    /**
+     * Issue a SHAKEN end-entity certificate and publish it at its x5u path
+     * @param {string} issuer - Issuing authority name
+     * @param {Object} request - Certificate request
+     * @param {string|Array} request.spc - Service provider code(s)
+     * @param {Array} request.numbers - Individual telephone numbers
+     * @param {Array} request.ranges - Number ranges ({ start, count })
+     * @param {string} request.commonName - Subject common name
+     * @param {number} request.validityDays - Certificate validity
+     * @returns {Object} - Issued certificate ({ serialNumber, certificate, chain, privateKey, x5u })
+     */
+    issueCertificate(issuer, request = {}) {
+        const authority = this.getAuthority(issuer);
+        const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+
+        const issued = this.createCertificate({
+            commonName: request.commonName || `SHAKEN ${[].concat(request.spc || 'TN')[0]}`,
+            issuerName: authority.name,
+            issuerPublicKey: authority.certificate.publicKey,
+            issuerPrivateKey: authority.privateKey,
+            publicKey,
+            ca: false,
+            crlUrl: this.getCRLUrl(issuer),
+            tnAuthList: this.buildTNAuthList(request),
+            validityDays: request.validityDays || this.validityDays,
+            notBefore: request.notBefore,
+            notAfter: request.notAfter
+        });
+
+        // Published chains stop below the root, which verifiers already hold as a trust anchor
+        const chain = [issued.pem, ...authority.chain].join('');
+        const fileName = `${issued.serialNumber.toLowerCase()}.pem`;
+        const x5u = `${this.baseUrl}/${fileName}`;
+        this.publish(fileName, chain);
+
+        const record = {
+            serialNumber: issued.serialNumber,
+            issuer,
+            x5u,
+            certificate: issued.pem,
+            chain,
+            privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' })
+        };
+        this.issued.set(issued.serialNumber, record);
+        return record;
+    }
+
+    /**
+     * Revoke an issued certificate and republish its issuer's CRL
+     * @param {string} serialNumber - Certificate serial number (hex)
+     * @param {Object} options - Revocation options ({ revokedAt })
+     * @returns {string} - Updated CRL (PEM)
+     */
+    revoke(serialNumber, options = {}) {
+        const record = this.issued.get(String(serialNumber).toUpperCase());
+        if (!record) {
+            throw new Error(`Unknown certificate: ${serialNumber}`);
+        }
+
+        const authority = this.getAuthority(record.issuer);
+        authority.revoked.set(record.serialNumber, options.revokedAt || Date.now());
+        return this.generateCRL(record.issuer);
+    }
+
+    /**
+     * Generate and publish the CRL of an authority
+     * @param {string} issuer - Authority name
+     * @param {Object} options - CRL options ({ validityDays })
+     * @returns {string} - CRL (PEM)
+     */
+    generateCRL(issuer, options = {}) {
+        const authority = this.getAuthority(issuer);
+        const now = Date.now();
+        authority.crlNumber++;
+
+        const revoked = Array.from(authority.revoked.entries()).map(([serialNumber, revokedAt]) =>
+            asn1.sequence(asn1.integer(Buffer.from(serialNumber, 'hex')), asn1.time(revokedAt))
+        );
+
+        const tbs = asn1.sequence(
+            asn1.integer(1),
+            asn1.sequence(asn1.oid(OIDS.ecdsaWithSHA256)),
+            authority.name,
+            asn1.time(now),
+            asn1.time(now + (options.validityDays || 7) * DAY_MS),
+            ...(revoked.length ? [asn1.sequence(...revoked)] : []),
+            asn1.contextTag(0, asn1.sequence(
+                this.buildExtension(OIDS.crlNumber, false, asn1.integer(authority.crlNumber)),
+                this.buildExtension(OIDS.authorityKeyIdentifier, false,
+                    asn1.sequence(asn1.contextTag(0, this.keyIdentifier(authority.certificate.publicKey), false)))
+            ))
+        );
+
+        const pem = toPem('X509 CRL', this.signStructure(tbs, authority.privateKey));
+        this.publish(`${issuer}.crl`, pem);
+        return pem;
+    }
+
+    /**
+     * URL an authority's CRL is published at
+     * @param {string} issuer - Authority name
+     * @returns {string} - CRL URL
+     */
+    getCRLUrl(issuer) {
+        return `${this.baseUrl}/${issuer}.crl`;
+    }
+
+    /**
+     * Write a file to the publication directory, if one is configured
+     * @param {string} fileName - File name
+     * @param {string} content - File content
+     */
+    publish(fileName, content) {
+        if (!this.directory) return;
+        fs.mkdirSync(this.directory, { recursive: true });
+        fs.writeFileSync(path.join(this.directory, fileName), content);
+    }
+
+    /**
+     * Serve an issued certificate chain by its x5u URL, so the CA can be used
+     * directly as a certificate fetcher
+     * @param {string} url - Certificate URL
+     * @returns {Promise<string>} - PEM certificate chain
+     */
+    async fetch(url) {
+        const record = Array.from(this.issued.values()).find(issued => issued.x5u === url);
+        if (!record) {
+            throw new Error(`No local certificate for ${url}`);
+        }
+        return record.chain;
+    }
+
+    /**
+     * Get the root certificates to configure as trust anchors
+     * @returns {Array} - Root certificates (PEM)
+     */
+    getTrustAnchors() {
+        return Array.from(this.authorities.values())
+            .filter(authority => !authority.chain.length)
+            .map(authority => authority.pem);
+    }
+}
+
+module.exports = DevelopmentSTICA;
@@ -0,0 +1,45 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DevelopmentSTICA = require('./sti_ca');
+
+describe('DevelopmentSTICA', () => {
+    let directory;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sti-ca-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('issues SHAKEN certificates chained to the root and published at their x5u', async () => {
+        const ca = new DevelopmentSTICA({ directory, baseUrl: 'https://cr.example.org/' });
+        const root = ca.createRoot();
+        ca.createIntermediate('root', { name: 'issuing' });
+        const issued = ca.issueCertificate('issuing', { spc: '1234' });
+
+        const certificate = new crypto.X509Certificate(issued.certificate);
+        expect(issued.x5u).toBe(`https://cr.example.org/${issued.serialNumber.toLowerCase()}.pem`);
+        expect(certificate.checkPrivateKey(crypto.createPrivateKey(issued.privateKey))).toBe(true);
+        expect(ca.getTrustAnchors()).toEqual([root.pem]);
+        expect(await ca.fetch(issued.x5u)).toBe(issued.chain);
+        expect(fs.readFileSync(path.join(directory, path.basename(issued.x5u)), 'utf8')).toBe(issued.chain);
+        await expect(ca.fetch('https://cr.example.org/unknown.pem')).rejects.toThrow('No local certificate');
+    });
+
+    test('publishes a CRL listing revoked certificates', () => {
+        const ca = new DevelopmentSTICA({ directory });
+        ca.createRoot();
+        ca.createIntermediate('root', { name: 'issuing' });
+        const issued = ca.issueCertificate('issuing', { spc: '1234' });
+
+        const crl = ca.revoke(issued.serialNumber);
+
+        expect(crl).toMatch(/^-----BEGIN X509 CRL-----/);
+        expect(fs.readFileSync(path.join(directory, 'issuing.crl'), 'utf8')).toBe(crl);
+        expect(() => ca.revoke('00')).toThrow('Unknown certificate');
+    });
+});
@@ -3,78 +3,555 @@
  * Based on the paper's specifications in Section 3.3.1
  */
 
+const fs = require('fs');
 const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
+const CertificateValidator = require('./certificate_validator');
+const { HttpCertificateFetcher, CachingCertificateFetcher } = require('./certificate_fetcher');
+const NumberOwnershipRegistry = require('./number_ownership');
+const sipIdentity = require('./sip_identity');
+const { ReplayCache } = require('./replay_cache');
+const { SoftwareKeyProvider } = require('./key_provider');
+
+// Strongest first: full, partial and gateway attestation
+const ATTESTATION_LEVELS = ['A', 'B', 'C'];
+const BELOW_MINIMUM_ACTIONS = ['accept', 'label', 'reject'];
+const REPLAY_ACTIONS = ['flag', 'reject'];
+// Verification outcomes signalled downstream in the verstat parameter (ATIS-1000074, 3GPP TS 24.229)
+const VERSTAT_VALUES = [
+    'TN-Validation-Passed-A',
+    'TN-Validation-Passed-B',
+    'TN-Validation-Passed-C',
+    'TN-Validation-Passed',
+    'TN-Validation-Failed',
+    'No-TN-Validation'
+];
+const VERSTAT_ACTIONS = ['deliver', 'label', 'reject'];
+// Failures that only occur because policy is configured to reject them; verstat cannot tell them apart
+const POLICY_REJECTIONS = ['PASSPORT_REPLAYED', 'DEST_MISMATCH', 'ATTESTATION_BELOW_MINIMUM'];
+const DEFAULT_VERSTAT_POLICY = {
+    'TN-Validation-Passed-A': 'deliver',
+    'TN-Validation-Passed-B': 'deliver',
+    'TN-Validation-Passed-C': 'deliver',
+    'TN-Validation-Passed': 'deliver',
+    'TN-Validation-Failed': 'label',
+    'No-TN-Validation': 'label'
+};
+// PASSporT extensions: SHAKEN (RFC 8588), diversion (RFC 8946), Rich Call Data (RFC 9795)
+const PASSPORT_TYPES = ['shaken', 'div', 'rcd'];
+
+/**
+ * Order claims lexicographically, as PASSporT serialization requires (RFC 8225 Section 9)
+ * @param {Object} claims - PASSporT claims
+ * @returns {Object} - Claims with sorted keys
+ */
+function sortClaims(claims) {
+    const sorted = {};
+    for (const key of Object.keys(claims).sort()) {
+        if (claims[key] !== undefined) sorted[key] = claims[key];
+    }
+    return sorted;
+}
+
+/**
+ * Canonical telephone number form: digits only (RFC 8224 Section 8.3)
+ * @param {string} number - Telephone number
+ * @returns {string} - Digits only
+ */
+function canonicalTN(number) {
+    return String(number || '').replace(/\D/g, '');
+}
 
 class STIRSHAKENAuth {
-    constructor() {
-        // In production, these would be loaded from secure storage
-        this.privateKey = crypto.generateKeyPairSync('rsa', {
-            modulusLength: 2048,
-            publicKeyEncoding: { type: 'spki', format: 'pem' },
-            privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
-        }).privateKey;
+    /**
+     * @param {Object} config - STIR/SHAKEN configuration (config.authentication.stirShaken)
+     * @param {Object} options - Injectable dependencies
+     * @param {Object} options.certificateFetcher - Fetcher used to resolve x5u URLs
+     * @param {Array} options.trustAnchors - Additional STI-CA root certificates (PEM strings)
+     * @param {Array} options.crls - Additional certificate revocation lists (PEM strings or DER buffers)
+     * @param {Object} options.keyProvider - Signing key provider (see key_provider.js)
+     * @param {Object} options.ownershipRegistry - Customer number-ownership registry used for attestation
+     * @param {Object} options.replayStore - Shared replay store (see replay_cache.js)
+     * @param {Object} options.officialCallers - Official caller registry whose numbers are branded
+     */
+    constructor(config = {}, options = {}) {
+        this.config = config;
+        this.allowedAlgorithms = config.allowedAlgorithms || ['ES256', 'RS256'];
+        this.maxPassportAgeSeconds = config.maxPassportAgeSeconds || 300;
+        this.verificationTimeout = config.verificationTimeout || 2000;
+        this.minAttestationLevel = config.minAttestationLevel || 'C';
+        this.belowMinimumAction = config.belowMinimumAction || 'label';
+        if (!ATTESTATION_LEVELS.includes(this.minAttestationLevel)) {
+            throw new Error(`Invalid minimum attestation level: ${this.minAttestationLevel}`);
+        }
+        if (!BELOW_MINIMUM_ACTIONS.includes(this.belowMinimumAction)) {
+            throw new Error(`Invalid below-minimum attestation action: ${this.belowMinimumAction}`);
+        }
+        this.ownershipRegistry = options.ownershipRegistry || new NumberOwnershipRegistry();
+        this.officialCallers = options.officialCallers || null;
+
+        const replayProtection = config.replayProtection || {};
+        this.replayAction = replayProtection.action || 'reject';
+        if (!REPLAY_ACTIONS.includes(this.replayAction)) {
+            throw new Error(`Invalid replay action: ${this.replayAction}`);
+        }
+        this.verstatPolicy = { ...DEFAULT_VERSTAT_POLICY, ...(config.verstatPolicy || {}) };
+        for (const [verstat, action] of Object.entries(this.verstatPolicy)) {
+            if (!VERSTAT_VALUES.includes(verstat) || !VERSTAT_ACTIONS.includes(action)) {
+                throw new Error(`Invalid verstat policy entry: ${verstat} -> ${action}`);
+            }
+        }
+
+        this.replayCache = new ReplayCache({
+            windowSeconds: this.maxPassportAgeSeconds,
+            maxEntries: replayProtection.maxEntries,
+            store: options.replayStore
+        });
+
+        this.certificateFetcher = options.certificateFetcher || new CachingCertificateFetcher(
+            new HttpCertificateFetcher({
+                allowedHosts: config.x5uAllowedHosts,
+                timeoutMs: this.verificationTimeout
+            }),
+            { ttlMs: config.certCacheTtlMs }
+        );
+
+        const trustAnchors = (config.trustAnchors || []).map(file => fs.readFileSync(file, 'utf8'));
+        const crls = (config.crls || []).map(file => fs.readFileSync(file));
+        this.certificateValidator = new CertificateValidator([
+            ...trustAnchors,
+            ...(options.trustAnchors || [])
+        ], [
+            ...crls,
+            ...(options.crls || [])
+        ]);
+
+        this.keyProvider = options.keyProvider || this.createKeyProvider(config);
+        this.defaultSigningIdentity = config.defaultSigningIdentity || this.keyProvider.listIdentities()[0];
     }
 
     /**
-     * Generate PASSporT (Personal Assertion Token) for call authentication
-     * @param {Object} callInfo - Call information
+     * Build a software key provider from the configured key and certificate files.
+     * Without configured keys the provider is empty: incoming calls are still verified,
+     * but outgoing calls are refused rather than signed with a key nobody can validate.
+     * @param {Object} config - STIR/SHAKEN configuration
+     * @returns {SoftwareKeyProvider} - Key provider
+     */
+    createKeyProvider(config) {
+        const keyProvider = new SoftwareKeyProvider();
+        for (const entry of config.signingKeys || []) {
+            keyProvider.loadKeyFiles(entry);
+        }
+        return keyProvider;
+    }
+
+    /**
+     * Choose the signing key for a number. An explicit identity wins; otherwise the
+     * first identity whose certificate authorizes the number, then the default identity.
+     * @param {string} number - Telephone number being asserted
+     * @param {string} identity - Explicit signing identity
+     * @returns {Object} - Signing key
+     */
+    selectSigningKey(number, identity) {
+        if (!this.keyProvider.listIdentities().length) {
+            const error = new Error('No STIR/SHAKEN signing key is configured');
+            error.code = 'NO_SIGNING_KEY';
+            throw error;
+        }
+        if (identity) {
+            return this.keyProvider.getSigningKey(identity);
+        }
+
+        for (const candidate of this.keyProvider.listIdentities()) {
+            let key;
+            try {
+                key = this.keyProvider.getSigningKey(candidate);
+            } catch (error) {
+                continue;
+            }
+            if (!key.certificate) continue;
+
+            const tnAuthList = this.certificateValidator.getTNAuthList(key.certificate);
+            if (tnAuthList && this.certificateValidator.isAuthorizedForTN(tnAuthList, number)) {
+                return key;
+            }
+        }
+
+        return this.keyProvider.getSigningKey(this.defaultSigningIdentity);
+    }
+
+    /**
+     * Decide the attestation level for an outgoing call
+     * A: authenticated customer that owns the calling number
+     * B: known customer whose right to the calling number is not verified
+     * C: traffic received from a gateway, whose originator cannot be vouched for
+     * @param {Object} callRequest - Outgoing call request ({ from, customerId, customerAuthenticated, gateway })
+     * @returns {Object} - Attestation decision ({ level, reason })
+     */
+    determineAttestation(callRequest) {
+        if (callRequest.gateway || !this.ownershipRegistry.isKnownCustomer(callRequest.customerId)) {
+            return { level: 'C', reason: 'GATEWAY_TRAFFIC' };
+        }
+        if (!callRequest.customerAuthenticated) {
+            return { level: 'B', reason: 'CUSTOMER_NOT_AUTHENTICATED' };
+        }
+        if (!this.ownershipRegistry.ownsNumber(callRequest.customerId, callRequest.from)) {
+            return { level: 'B', reason: 'TN_NOT_VERIFIED' };
+        }
+        return { level: 'A', reason: 'CUSTOMER_OWNS_TN' };
+    }
+
+    /**
+     * Check whether an attestation level meets the configured minimum
+     * @param {string} level - Attestation level
+     * @returns {boolean} - Whether the level is at least the minimum
+     */
+    meetsMinimumAttestation(level) {
+        return ATTESTATION_LEVELS.includes(level) &&
+            ATTESTATION_LEVELS.indexOf(level) <= ATTESTATION_LEVELS.indexOf(this.minAttestationLevel);
+    }
+
+    /**
+     * Sign PASSporT claims; x5u points at the certificate of the signing key
+     * @param {string} ppt - PASSporT extension type
+     * @param {Object} claims - PASSporT claims
+     * @param {Object} signingKey - Signing key from the key provider
      * @returns {string} - Signed PASSporT
      */
-    generatePASSporT(callInfo) {
+    signPASSporT(ppt, claims, signingKey) {
         const header = {
             typ: 'passport',
-            alg: 'RS256',
-            x5u: 'https://cert.example.org/passport.cer' // Would be real cert in production
+            alg: signingKey.algorithm,
+            ppt,
+            x5u: signingKey.x5u
+        };
+
+        return jwt.sign(sortClaims(claims), signingKey.privateKey, { 
+            algorithm: signingKey.algorithm,
+            header 
+        });
+    }
+
+    /**
+     * Build the SIP Identity header carrying a PASSporT
+     * @param {string} token - Signed PASSporT
+     * @returns {string} - Identity header value
+     */
+    toIdentityHeader(token) {
+        const { header } = jwt.decode(token, { complete: true });
+        return sipIdentity.formatIdentityHeader({
+            token,
+            info: header.x5u,
+            alg: header.alg,
+            ppt: header.ppt
+        });
+    }
+
+    /**
+     * Convert caller branding into Rich Call Data claims
+     * @param {Object} richCallData - Branding ({ name, icon, reason })
+     * @returns {Object} - rcd and crn claims
+     */
+    buildRichCallDataClaims(richCallData) {
+        if (!richCallData.name || typeof richCallData.name !== 'string') {
+            throw new Error('Rich call data requires a display name');
+        }
+
+        return {
+            crn: richCallData.reason || undefined,
+            rcd: sortClaims({ icn: richCallData.icon || undefined, nam: richCallData.name })
         };
+    }
 
-        const payload = {
-            attest: 'A', // Attestation level
+    /**
+     * Generate PASSporT (Personal Assertion Token) for call authentication
+     * @param {Object} callInfo - Call information
+     * @returns {string} - Signed PASSporT
+     */
+    generatePASSporT(callInfo) {
+        const signingKey = this.selectSigningKey(callInfo.originNumber, callInfo.signingIdentity);
+        return this.signPASSporT('shaken', {
+            attest: callInfo.attestationLevel, // Attestation level
             dest: {
-                tn: [callInfo.destinationNumber]
+                tn: [canonicalTN(callInfo.destinationNumber)]
             },
             iat: Math.floor(Date.now() / 1000),
             orig: {
-                tn: callInfo.originNumber
+                tn: canonicalTN(callInfo.originNumber)
             },
-            origid: crypto.randomBytes(16).toString('hex')
-        };
+            origid: crypto.randomBytes(16).toString('hex'),
+            ...(callInfo.richCallData ? this.buildRichCallDataClaims(callInfo.richCallData) : {})
+        }, signingKey);
+    }
 
-        return jwt.sign(payload, this.privateKey, { 
-            algorithm: 'RS256',
-            header 
+    /**
+     * Generate a diversion PASSporT for a retargeted call (RFC 8946)
+     * @param {Object} diversionInfo - Diversion information ({ originNumber, divertingNumber, destinationNumber })
+     * @returns {string} - Signed div PASSporT
+     */
+    generateDivPASSporT(diversionInfo) {
+        // The retargeting party signs, so the key must cover the diverting number
+        const signingKey = this.selectSigningKey(diversionInfo.divertingNumber, diversionInfo.signingIdentity);
+        return this.signPASSporT('div', {
+            dest: { tn: [canonicalTN(diversionInfo.destinationNumber)] },
+            div: { tn: canonicalTN(diversionInfo.divertingNumber) },
+            iat: Math.floor(Date.now() / 1000),
+            orig: { tn: canonicalTN(diversionInfo.originNumber) }
+        }, signingKey);
+    }
+
+    /**
+     * Fetch the certificate referenced by x5u, bounded by the verification timeout
+     * @param {string} x5u - Certificate URL
+     * @returns {Promise<string>} - PEM certificate chain
+     */
+    fetchCertificate(x5u) {
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error('Certificate fetch timed out')), this.verificationTimeout);
         });
+        return Promise.race([this.certificateFetcher.fetch(x5u), timeout])
+            .finally(() => clearTimeout(timer));
     }
 
     /**
-     * Verify a PASSporT
+     * Verify a PASSporT: certificate chain, TN authorization and signature
      * @param {string} passport - PASSporT to verify
-     * @returns {Promise<boolean>} - Verification result
+     * @returns {Promise<Object>} - Verification result ({ valid, errorCode, header, claims, certificate })
      */
     async verifyPASSporT(passport) {
+        const fail = (errorCode, details = {}) => ({ valid: false, errorCode, ...details });
+
+        const decoded = jwt.decode(passport, { complete: true });
+        if (!decoded || !decoded.payload || decoded.header.typ !== 'passport') {
+            return fail('MALFORMED_PASSPORT');
+        }
+
+        const { header, payload: claims } = decoded;
+        if (header.ppt && !PASSPORT_TYPES.includes(header.ppt)) {
+            return fail('UNSUPPORTED_PPT', { header, claims });
+        }
+        // An attest claim is checked wherever it appears, so no token yields an unknown verstat
+        if ((header.ppt === 'shaken' || claims.attest !== undefined) && !ATTESTATION_LEVELS.includes(claims.attest)) {
+            return fail('INVALID_ATTESTATION', { header, claims });
+        }
+        if (header.ppt === 'div' && !(claims.div && claims.div.tn && claims.dest)) {
+            return fail('MALFORMED_PASSPORT', { header, claims });
+        }
+        if ((header.ppt === 'rcd' || claims.rcd !== undefined) &&
+            !(claims.rcd && typeof claims.rcd.nam === 'string' && claims.rcd.nam)) {
+            return fail('INVALID_RCD', { header, claims });
+        }
+        if (!this.allowedAlgorithms.includes(header.alg)) {
+            return fail('UNSUPPORTED_ALGORITHM', { header, claims });
+        }
+        if (!header.x5u) {
+            return fail('MISSING_X5U', { header, claims });
+        }
+
+        // Reject tokens outside the freshness window in either direction
+        const now = Math.floor(Date.now() / 1000);
+        if (typeof claims.iat !== 'number' || Math.abs(now - claims.iat) > this.maxPassportAgeSeconds) {
+            return fail('STALE_PASSPORT', { header, claims });
+        }
+
+        let pemBundle;
         try {
-            // In production, would verify against actual public key
-            const decoded = jwt.decode(passport, { complete: true });
-            if (!decoded) return false;
+            pemBundle = await this.fetchCertificate(header.x5u);
+        } catch (error) {
+            return fail(error.code === 'X5U_NOT_ALLOWED' ? error.code : 'CERT_FETCH_FAILED', { header, claims });
+        }
 
-            // Verify token hasn't expired (5 minute window)
-            const now = Math.floor(Date.now() / 1000);
-            if (now - decoded.payload.iat > 300) return false;
+        const chainResult = this.certificateValidator.validateChain(pemBundle);
+        if (!chainResult.valid) {
+            return fail(chainResult.errorCode, { header, claims });
+        }
 
-            // Additional checks would be performed here in production
-            return true;
+        const { certificate } = chainResult;
+        let tnAuthList;
+        try {
+            tnAuthList = this.certificateValidator.getTNAuthList(certificate);
         } catch (error) {
-            console.error('PASSporT verification failed:', error);
-            return false;
+            return fail('CERT_PARSE_FAILED', { header, claims, certificate });
+        }
+        if (!tnAuthList) {
+            return fail('TN_AUTH_LIST_MISSING', { header, claims, certificate });
         }
+        // A div PASSporT is signed by the retargeting party, so its certificate covers the diverting number
+        const signerTN = header.ppt === 'div' ? claims.div.tn : claims.orig && claims.orig.tn;
+        if (!signerTN || !this.certificateValidator.isAuthorizedForTN(tnAuthList, signerTN)) {
+            return fail('TN_NOT_AUTHORIZED', { header, claims, certificate });
+        }
+
+        try {
+            const publicKey = certificate.publicKey.export({ type: 'spki', format: 'pem' });
+            jwt.verify(passport, publicKey, { algorithms: [header.alg] });
+        } catch (error) {
+            return fail('INVALID_SIGNATURE', { header, claims, certificate });
+        }
+
+        return { valid: true, errorCode: null, header, claims, certificate };
+    }
+
+    /**
+     * Collect the identities presented with a call: its SIP Identity headers,
+     * or a bare PASSporT when the request did not come from SIP signalling
+     * @param {Object} callRequest - Incoming call request ({ identityHeaders, sip, passport })
+     * @returns {Array} - Identities ({ token, compact, info, alg, ppt })
+     */
+    extractIdentities(callRequest) {
+        if (callRequest.identityHeaders) {
+            return sipIdentity.parseIdentityHeaders(callRequest.identityHeaders);
+        }
+        return callRequest.passport ? [{ token: callRequest.passport, compact: false }] : [];
+    }
+
+    /**
+     * Verify one Identity header: rebuild compact forms, check the header
+     * parameters against the PASSporT, then verify the PASSporT itself
+     * @param {Object} identity - Parsed identity
+     * @param {Object} sip - SIP request fields ({ from, to, date })
+     * @returns {Promise<Object>} - Verification result
+     */
+    async verifyIdentity(identity, sip) {
+        if (identity.compact && identity.ppt === 'shaken') {
+            // SHAKEN claims (attest, origid) are not carried in SIP, so they cannot be rebuilt
+            return { valid: false, errorCode: 'COMPACT_FORM_NOT_ALLOWED' };
+        }
+
+        let passport = identity.token;
+        if (identity.compact) {
+            try {
+                passport = sipIdentity.reconstructPASSporT(identity, sip);
+            } catch (error) {
+                return { valid: false, errorCode: 'MALFORMED_IDENTITY_HEADER' };
+            }
+        }
+
+        const decoded = jwt.decode(passport, { complete: true });
+        if (decoded && identity.info !== undefined) {
+            const { header } = decoded;
+            if (identity.info !== header.x5u ||
+                (identity.alg && identity.alg !== header.alg) ||
+                (identity.ppt || null) !== (header.ppt || null)) {
+                return { valid: false, errorCode: 'IDENTITY_PARAM_MISMATCH', header };
+            }
+        }
+
+        return this.verifyPASSporT(passport);
+    }
+
+    /**
+     * Link div PASSporTs into a diversion chain starting at the original PASSporT.
+     * Each hop must divert from the previous destination, keep the original caller,
+     * and the last hop must reach the number the call is now addressed to.
+     * @param {Object} original - Verified original PASSporT
+     * @param {Array} diversions - div PASSporT verification results
+     * @param {string} calledNumber - Number the call is currently addressed to
+     * @returns {Object} - Chain ({ diversion }) or failure ({ errorCode })
+     */
+    followDiversions(original, diversions, calledNumber) {
+        if (diversions.some(diversion => !diversion.valid)) {
+            return { errorCode: 'DIVERSION_NOT_VERIFIED' };
+        }
+
+        const diversion = [];
+        const remaining = [...diversions];
+        let current = canonicalTN(original.claims.dest.tn[0]);
+        while (remaining.length) {
+            const index = remaining.findIndex(candidate =>
+                canonicalTN(candidate.claims.div.tn) === current &&
+                canonicalTN(candidate.claims.orig.tn) === canonicalTN(original.claims.orig.tn)
+            );
+            if (index === -1) {
+                return { errorCode: 'DIVERSION_CHAIN_INVALID' };
+            }
+
+            const [hop] = remaining.splice(index, 1);
+            const next = canonicalTN(hop.claims.dest.tn[0]);
+            diversion.push({ from: current, to: next, iat: hop.claims.iat });
+            current = next;
+        }
+
+        if (calledNumber && canonicalTN(calledNumber) !== current) {
+            return { errorCode: 'DIVERSION_CHAIN_INVALID' };
+        }
+        return { diversion };
+    }
+
+    /**
+     * Get the verified caller branding of a call. Branding is only presented from
+     * verified PASSporTs, either inline in the SHAKEN PASSporT or in an rcd PASSporT
+     * for the same caller, and only on fully attested calls: a B or C signer does not
+     * vouch for the caller's number, so it cannot vouch for the name shown with it.
+     * @param {Object} original - Verified original PASSporT
+     * @param {Array} verified - All verified non-diversion PASSporTs
+     * @returns {Object|null} - Rich call data ({ name, icon, reason })
+     */
+    getRichCallData(original, verified) {
+        if (original.claims.attest !== 'A') return null;
+
+        const source = original.claims.rcd ? original : verified.find(candidate =>
+            candidate.ppt === 'rcd' &&
+            canonicalTN(candidate.claims.orig && candidate.claims.orig.tn) === canonicalTN(original.claims.orig.tn)
+        );
+        if (!source) return null;
+
+        return {
+            name: source.claims.rcd.nam,
+            icon: source.claims.rcd.icn || null,
+            reason: source.claims.crn || null
+        };
+    }
+
+    /**
+     * Map a verification result to its verstat value
+     * @param {Object} verificationResult - Verification result
+     * @returns {string} - verstat value
+     */
+    getVerstat(verificationResult) {
+        if (verificationResult.verified) {
+            return verificationResult.attestationLevel ?
+                `TN-Validation-Passed-${verificationResult.attestationLevel}` : 'TN-Validation-Passed';
+        }
+        return verificationResult.errorCode === 'NO_PASSPORT' ? 'No-TN-Validation' : 'TN-Validation-Failed';
+    }
+
+    /**
+     * Get the configured handling of a verstat value
+     * @param {string} verstat - verstat value
+     * @returns {string} - 'deliver', 'label' or 'reject'
+     */
+    getVerstatAction(verstat) {
+        return this.verstatPolicy[verstat];
     }
 
     /**
      * Process incoming call with STIR/SHAKEN verification
      * @param {Object} callRequest - Incoming call request
-     * @returns {Promise<Object>} - Verification result
+     * @returns {Promise<Object>} - Verification result, including verstat and the policy action
      */
     async processIncomingCall(callRequest) {
+        const verificationResult = await this.verifyIncomingCall(callRequest);
+        verificationResult.verstat = this.getVerstat(verificationResult);
+        verificationResult.action = POLICY_REJECTIONS.includes(verificationResult.errorCode) ?
+            'reject' : this.getVerstatAction(verificationResult.verstat);
+        // Calls below the minimum attestation that policy labels, and replayed or misdirected
+        // tokens that are only flagged, are never delivered unmarked
+        const flagged = verificationResult.flags && verificationResult.flags.length > 0;
+        if (verificationResult.action === 'deliver' &&
+            (verificationResult.attestationDecision === 'label' || flagged)) {
+            verificationResult.action = 'label';
+        }
+        return verificationResult;
+    }
+
+    /**
+     * Verify the identities presented with an incoming call
+     * @param {Object} callRequest - Incoming call request
+     * @returns {Promise<Object>} - Verification result
+     */
+    async verifyIncomingCall(callRequest) {
         const verificationResult = {
             verified: false,
             attestationLevel: null,
@@ -82,21 +559,74 @@ class STIRSHAKENAuth {
         };
 
         try {
-            const passport = callRequest.passport;
-            if (!passport) {
+            let identities;
+            try {
+                identities = this.extractIdentities(callRequest);
+            } catch (error) {
+                verificationResult.errorCode = 'MALFORMED_IDENTITY_HEADER';
+                return verificationResult;
+            }
+            if (!identities.length) {
                 verificationResult.errorCode = 'NO_PASSPORT';
                 return verificationResult;
             }
 
-            const isValid = await this.verifyPASSporT(passport);
-            if (!isValid) {
-                verificationResult.errorCode = 'INVALID_PASSPORT';
+            const results = [];
+            for (const identity of identities) {
+                const result = await this.verifyIdentity(identity, callRequest.sip);
+                result.ppt = result.header ? result.header.ppt : identity.ppt;
+                results.push(result);
+            }
+            verificationResult.identityCount = results.length;
+
+            // A verified SHAKEN PASSporT is preferred, since only it carries an attestation
+            const originals = results.filter(result => result.ppt !== 'div');
+            const verified = originals.filter(result => result.valid);
+            const result = verified.find(candidate => candidate.ppt === 'shaken') || verified[0];
+            if (!result) {
+                verificationResult.errorCode = originals.length ? originals[0].errorCode : 'NO_PASSPORT';
+                return verificationResult;
+            }
+
+            const diversions = results.filter(candidate => candidate.ppt === 'div');
+            if (diversions.length) {
+                const chain = this.followDiversions(result, diversions, callRequest.to);
+                if (chain.errorCode) {
+                    verificationResult.errorCode = chain.errorCode;
+                    return verificationResult;
+                }
+                verificationResult.diversion = chain.diversion;
+            }
+
+            // Tokens seen before, or minted for a different called number, are flagged or rejected
+            const flags = [];
+            const destinations = (result.claims.dest && result.claims.dest.tn) || [];
+            if (!diversions.length && callRequest.to &&
+                !destinations.map(canonicalTN).includes(canonicalTN(callRequest.to))) {
+                flags.push('DEST_MISMATCH');
+            }
+            if (await this.replayCache.isReplay(result.claims)) {
+                flags.push('PASSPORT_REPLAYED');
+            }
+            verificationResult.flags = flags;
+            if (flags.length && this.replayAction === 'reject') {
+                verificationResult.errorCode = flags[0];
                 return verificationResult;
             }
 
-            const decoded = jwt.decode(passport);
             verificationResult.verified = true;
-            verificationResult.attestationLevel = decoded.attest;
+            verificationResult.attestationLevel = result.claims.attest || null;
+            verificationResult.richCallData = this.getRichCallData(result, verified);
+
+            // Weakly attested calls get an explicit policy decision
+            verificationResult.attestationDecision = 'accept';
+            if (!this.meetsMinimumAttestation(verificationResult.attestationLevel)) {
+                verificationResult.attestationDecision = this.belowMinimumAction;
+                if (this.belowMinimumAction === 'reject') {
+                    verificationResult.verified = false;
+                    verificationResult.errorCode = 'ATTESTATION_BELOW_MINIMUM';
+                }
+            }
 
             return verificationResult;
         } catch (error) {
@@ -105,24 +635,83 @@ class STIRSHAKENAuth {
         }
     }
 
+    /**
+     * Get the registry branding for a call from an official number. Only fully
+     * attested calls are branded, so nobody else can borrow an agency's name.
+     * @param {Object} callRequest - Outgoing call request
+     * @param {Object} attestation - Attestation decision
+     * @returns {Object|null} - Branding ({ name, icon, reason })
+     */
+    getOfficialBranding(callRequest, attestation) {
+        if (!this.officialCallers || attestation.level !== 'A') return null;
+        return this.officialCallers.getBranding(callRequest.from);
+    }
+
     /**
      * Prepare outgoing call with STIR/SHAKEN authentication
      * @param {Object} callRequest - Outgoing call request
      * @returns {Object} - Prepared call request with PASSporT
      */
     prepareOutgoingCall(callRequest) {
+        const attestation = this.determineAttestation(callRequest);
+        // Registered official numbers always present their verified agency branding.
+        // Customer-supplied branding is only signed for numbers the customer owns,
+        // so a gateway or unverified caller cannot pass itself off as a bank or agency.
+        const officialBranding = this.getOfficialBranding(callRequest, attestation);
+        const richCallData = officialBranding ||
+            (attestation.level === 'A' ? callRequest.richCallData : null);
         const passport = this.generatePASSporT({
             originNumber: callRequest.from,
-            destinationNumber: callRequest.to
+            destinationNumber: callRequest.to,
+            attestationLevel: attestation.level,
+            richCallData,
+            signingIdentity: callRequest.signingIdentity
         });
 
         return {
             ...callRequest,
+            officialCaller: Boolean(officialBranding),
+            richCallDataSigned: Boolean(richCallData),
             passport,
+            identityHeader: this.toIdentityHeader(passport),
+            attestation,
             authenticationType: 'STIR/SHAKEN',
             timestamp: Date.now()
         };
     }
+
+    /**
+     * Retarget a call to a new destination, adding a div PASSporT so the
+     * diversion stays verifiable downstream
+     * @param {Object} callRequest - Call being diverted, carrying its Identity header(s)
+     * @param {string} newDestination - Number the call is forwarded to
+     * @returns {Object} - Diverted call request
+     */
+    prepareDivertedCall(callRequest, newDestination) {
+        const identityHeaders = [].concat(callRequest.identityHeaders || callRequest.identityHeader || []);
+        const original = sipIdentity.parseIdentityHeaders(identityHeaders)
+            .map(identity => jwt.decode(identity.token, { complete: true }))
+            .find(decoded => decoded && decoded.header.ppt !== 'div');
+        if (!original) {
+            throw new Error('Diverted call carries no PASSporT to extend');
+        }
+
+        const token = this.generateDivPASSporT({
+            originNumber: original.payload.orig.tn,
+            divertingNumber: callRequest.to,
+            destinationNumber: newDestination
+        });
+
+        return {
+            ...callRequest,
+            to: newDestination,
+            divertedFrom: callRequest.to,
+            identityHeaders: [...identityHeaders, this.toIdentityHeader(token)]
+        };
+    }
 }
 
+STIRSHAKENAuth.ATTESTATION_LEVELS = ATTESTATION_LEVELS;
+STIRSHAKENAuth.VERSTAT_VALUES = VERSTAT_VALUES;
+
 module.exports = STIRSHAKENAuth;
\ No newline at end of file
@@ -0,0 +1,307 @@
+const STIRSHAKENAuth = require('./stir_shaken');
+const DevelopmentSTICA = require('./sti_ca');
+const NumberOwnershipRegistry = require('./number_ownership');
+const OfficialCallerRegistry = require('./official_callers');
+const { SoftwareKeyProvider } = require('./key_provider');
+
+const CALLER = '+919876543210';
+const CALLED = '+911123456789';
+
+let ca;
+let issued;
+
+beforeAll(() => {
+    ca = new DevelopmentSTICA();
+    ca.createRoot();
+    ca.createIntermediate('root', { name: 'issuing' });
+    issued = ca.issueCertificate('issuing', { spc: '1234' });
+});
+
+/**
+ * Create an authenticator signing with a certificate of the development STI-CA
+ * @param {Object} config - STIR/SHAKEN configuration
+ * @param {Object} options - Additional dependencies
+ * @returns {STIRSHAKENAuth} - Authenticator
+ */
+function createAuth(config = {}, options = {}) {
+    const keyProvider = new SoftwareKeyProvider();
+    keyProvider.addKey({
+        identity: 'sp-1234',
+        privateKey: issued.privateKey,
+        certificate: issued.certificate,
+        x5u: issued.x5u
+    });
+
+    const ownershipRegistry = new NumberOwnershipRegistry();
+    ownershipRegistry.addCustomer({ id: 'bank' });
+    ownershipRegistry.assignNumber('bank', CALLER, { verified: true });
+
+    return new STIRSHAKENAuth(config, {
+        certificateFetcher: ca,
+        trustAnchors: ca.getTrustAnchors(),
+        keyProvider,
+        ownershipRegistry,
+        ...options
+    });
+}
+
+/**
+ * Sign an outgoing call and present it as an incoming one
+ * @param {STIRSHAKENAuth} auth - Authenticator
+ * @param {Object} callRequest - Outgoing call request
+ * @returns {Object} - Incoming call request carrying the Identity header
+ */
+function signCall(auth, callRequest = {}) {
+    const prepared = auth.prepareOutgoingCall({ from: CALLER, to: CALLED, ...callRequest });
+    return { from: prepared.from, to: prepared.to, identityHeaders: [prepared.identityHeader] };
+}
+
+describe('attestation', () => {
+    test('attests A only for an authenticated customer that owns the number', () => {
+        const auth = createAuth();
+
+        expect(auth.determineAttestation({ from: CALLER, customerId: 'bank', customerAuthenticated: true }))
+            .toEqual({ level: 'A', reason: 'CUSTOMER_OWNS_TN' });
+        expect(auth.determineAttestation({ from: '+919800000000', customerId: 'bank', customerAuthenticated: true }))
+            .toEqual({ level: 'B', reason: 'TN_NOT_VERIFIED' });
+        expect(auth.determineAttestation({ from: CALLER, customerId: 'bank' }))
+            .toEqual({ level: 'B', reason: 'CUSTOMER_NOT_AUTHENTICATED' });
+        expect(auth.determineAttestation({ from: CALLER, customerId: 'bank', gateway: true }))
+            .toEqual({ level: 'C', reason: 'GATEWAY_TRAFFIC' });
+    });
+
+    test('verifies a signed call with its attestation', async () => {
+        const auth = createAuth();
+        const result = await auth.processIncomingCall(
+            signCall(auth, { customerId: 'bank', customerAuthenticated: true })
+        );
+
+        expect(result).toMatchObject({ verified: true, attestationLevel: 'A', attestationDecision: 'accept' });
+    });
+
+    test('labels calls below the minimum attestation level', async () => {
+        const auth = createAuth({ minAttestationLevel: 'B', belowMinimumAction: 'label' });
+        const result = await auth.processIncomingCall(signCall(auth, { gateway: true }));
+
+        expect(result).toMatchObject({ verified: true, attestationLevel: 'C', attestationDecision: 'label' });
+        expect(result.action).toBe('label');
+    });
+
+    test('rejects invalid policy configuration', () => {
+        expect(() => createAuth({ minAttestationLevel: 'D' })).toThrow('Invalid minimum attestation level');
+        expect(() => createAuth({ belowMinimumAction: 'drop' })).toThrow('Invalid below-minimum attestation action');
+    });
+});
+
+describe('SIP Identity headers', () => {
+    test('verifies a PASSporT carried in an Identity header', async () => {
+        const auth = createAuth();
+        const call = signCall(auth);
+
+        expect(call.identityHeaders[0]).toMatch(/;info=<https:\/\/sti-ca\.local\/[0-9a-f]+\.pem>;alg=ES256;ppt=shaken$/);
+        expect((await auth.processIncomingCall(call)).verified).toBe(true);
+    });
+
+    test('rejects headers whose parameters disagree with the PASSporT', async () => {
+        const auth = createAuth();
+        const call = signCall(auth);
+        call.identityHeaders = [call.identityHeaders[0].replace(/info=<[^>]*>/, 'info=<https://sti-ca.local/other.pem>')];
+
+        expect((await auth.verifyIncomingCall(call)).errorCode).toBe('IDENTITY_PARAM_MISMATCH');
+    });
+
+    test('does not accept compact SHAKEN PASSporTs', async () => {
+        const auth = createAuth();
+        const call = signCall(auth);
+        call.identityHeaders = [call.identityHeaders[0].replace(/^([^.]+)\.[^.]+\./, '$1..')];
+
+        expect((await auth.verifyIncomingCall(call)).errorCode).toBe('COMPACT_FORM_NOT_ALLOWED');
+    });
+});
+
+describe('Rich Call Data', () => {
+    const branding = { name: 'State Bank', reason: 'Card alert' };
+
+    test('signs and displays branding on fully attested calls', async () => {
+        const auth = createAuth();
+        const call = signCall(auth, { customerId: 'bank', customerAuthenticated: true, richCallData: branding });
+        const result = await auth.verifyIncomingCall(call);
+
+        expect(result.richCallData).toEqual({ name: 'State Bank', icon: null, reason: 'Card alert' });
+    });
+
+    test('does not sign customer branding on B or C attested calls', () => {
+        const auth = createAuth();
+
+        expect(auth.prepareOutgoingCall({ from: CALLER, to: CALLED, customerId: 'bank', richCallData: branding }))
+            .toMatchObject({ attestation: { level: 'B' }, richCallDataSigned: false });
+        expect(auth.prepareOutgoingCall({ from: CALLER, to: CALLED, gateway: true, richCallData: branding }))
+            .toMatchObject({ attestation: { level: 'C' }, richCallDataSigned: false });
+    });
+
+    test('signs registry branding for official numbers in place of customer branding', async () => {
+        const officialCallers = new OfficialCallerRegistry({
+            mfa: { authenticate: jest.fn().mockResolvedValue({ success: true }) },
+            admins: ['admin-1']
+        });
+        await officialCallers.registerNumber({ userId: 'admin-1' }, { number: CALLER, agency: 'Customs' });
+        const auth = createAuth({}, { officialCallers });
+        const call = signCall(auth, { customerId: 'bank', customerAuthenticated: true, richCallData: branding });
+
+        expect((await auth.verifyIncomingCall(call)).richCallData).toMatchObject({ name: 'Customs' });
+    });
+
+    test('does not display branding carried by a C attested PASSporT', async () => {
+        const auth = createAuth();
+        const passport = auth.generatePASSporT({
+            originNumber: CALLER,
+            destinationNumber: CALLED,
+            attestationLevel: 'C',
+            richCallData: branding
+        });
+        const result = await auth.verifyIncomingCall({
+            from: CALLER,
+            to: CALLED,
+            identityHeaders: [auth.toIdentityHeader(passport)]
+        });
+
+        expect(result).toMatchObject({ verified: true, attestationLevel: 'C', richCallData: null });
+    });
+});
+
+describe('diverted calls', () => {
+    test('verifies a call retargeted with a div PASSporT', async () => {
+        const auth = createAuth();
+        const diverted = auth.prepareDivertedCall(signCall(auth), '+911187654321');
+        const result = await auth.verifyIncomingCall({
+            from: CALLER,
+            to: '+911187654321',
+            identityHeaders: diverted.identityHeaders
+        });
+
+        expect(result).toMatchObject({ verified: true, identityCount: 2 });
+        expect(result.diversion).toEqual([expect.objectContaining({ from: '911123456789', to: '911187654321' })]);
+    });
+
+    test('rejects a diverted call delivered to a number the diversion does not name', async () => {
+        const auth = createAuth();
+        const diverted = auth.prepareDivertedCall(signCall(auth), '+911187654321');
+        const result = await auth.verifyIncomingCall({
+            from: CALLER,
+            to: '+911199999999',
+            identityHeaders: diverted.identityHeaders
+        });
+
+        expect(result).toMatchObject({ verified: false, errorCode: 'DIVERSION_CHAIN_INVALID' });
+    });
+});
+
+describe('replay protection', () => {
+    test('rejects a PASSporT presented a second time', async () => {
+        const auth = createAuth();
+        const call = signCall(auth);
+
+        expect((await auth.verifyIncomingCall(call)).verified).toBe(true);
+        expect(await auth.verifyIncomingCall(call)).toMatchObject({ verified: false, errorCode: 'PASSPORT_REPLAYED' });
+    });
+
+    test('rejects a PASSporT minted for another called number', async () => {
+        const auth = createAuth();
+        const call = { ...signCall(auth), to: '+911199999999' };
+
+        expect((await auth.verifyIncomingCall(call)).errorCode).toBe('DEST_MISMATCH');
+    });
+
+    test('only flags replays when configured to', async () => {
+        const auth = createAuth({ replayProtection: { action: 'flag' } });
+        const call = signCall(auth);
+        await auth.verifyIncomingCall(call);
+
+        expect(await auth.verifyIncomingCall(call)).toMatchObject({ verified: true, flags: ['PASSPORT_REPLAYED'] });
+    });
+
+    test('labels flagged calls instead of delivering them unmarked', async () => {
+        const auth = createAuth({ replayProtection: { action: 'flag' } });
+        const call = signCall(auth);
+
+        expect((await auth.processIncomingCall(call)).action).toBe('deliver');
+        expect(await auth.processIncomingCall(call)).toMatchObject({
+            verstat: 'TN-Validation-Passed-C',
+            flags: ['PASSPORT_REPLAYED'],
+            action: 'label'
+        });
+        expect((await auth.processIncomingCall({ ...signCall(auth), to: '+911199999999' })).action).toBe('label');
+    });
+});
+
+describe('signing keys', () => {
+    test('refuses to sign when no signing key is configured', () => {
+        const auth = new STIRSHAKENAuth({}, { certificateFetcher: ca, trustAnchors: ca.getTrustAnchors() });
+
+        expect(() => auth.prepareOutgoingCall({ from: CALLER, to: CALLED }))
+            .toThrow(expect.objectContaining({ code: 'NO_SIGNING_KEY' }));
+    });
+
+    test('still verifies incoming calls without a signing key', async () => {
+        const verifier = new STIRSHAKENAuth({}, { certificateFetcher: ca, trustAnchors: ca.getTrustAnchors() });
+
+        expect((await verifier.verifyIncomingCall(signCall(createAuth()))).verified).toBe(true);
+    });
+});
+
+describe('verstat policy', () => {
+    test('maps verification outcomes to verstat values and actions', async () => {
+        const auth = createAuth();
+        const tampered = signCall(auth);
+        tampered.identityHeaders = [tampered.identityHeaders[0].replace(/^([^.]+\.[^.]+\.)./, '$1A')];
+
+        expect(await auth.processIncomingCall(signCall(auth, { customerId: 'bank', customerAuthenticated: true })))
+            .toMatchObject({ verstat: 'TN-Validation-Passed-A', action: 'deliver' });
+        expect(await auth.processIncomingCall(tampered))
+            .toMatchObject({ verstat: 'TN-Validation-Failed', action: 'label' });
+        expect(await auth.processIncomingCall({ from: CALLER, to: CALLED }))
+            .toMatchObject({ verstat: 'No-TN-Validation', action: 'label' });
+    });
+
+    test('applies the configured action to each verstat value', async () => {
+        const auth = createAuth({ verstatPolicy: { 'TN-Validation-Passed-C': 'label', 'No-TN-Validation': 'reject' } });
+
+        expect((await auth.processIncomingCall(signCall(auth, { gateway: true }))).action).toBe('label');
+        expect((await auth.processIncomingCall({ from: CALLER, to: CALLED })).action).toBe('reject');
+        expect(() => createAuth({ verstatPolicy: { 'TN-Validation-Passed-D': 'deliver' } }))
+            .toThrow('Invalid verstat policy entry');
+    });
+
+    test('keeps replays rejected by policy as rejections', async () => {
+        const auth = createAuth();
+        const call = signCall(auth);
+        await auth.processIncomingCall(call);
+
+        expect(await auth.processIncomingCall(call))
+            .toMatchObject({ errorCode: 'PASSPORT_REPLAYED', verstat: 'TN-Validation-Failed', action: 'reject' });
+    });
+
+    test('keeps attestation below a rejecting minimum as a rejection', async () => {
+        const auth = createAuth({ minAttestationLevel: 'B', belowMinimumAction: 'reject' });
+
+        expect(await auth.processIncomingCall(signCall(auth, { gateway: true })))
+            .toMatchObject({ errorCode: 'ATTESTATION_BELOW_MINIMUM', action: 'reject' });
+    });
+
+    test('rejects unknown attestation values whatever the PASSporT type', async () => {
+        const auth = createAuth();
+        const passport = auth.signPASSporT(undefined, {
+            attest: 'X',
+            dest: { tn: ['911123456789'] },
+            iat: Math.floor(Date.now() / 1000),
+            orig: { tn: '919876543210' }
+        }, auth.selectSigningKey(CALLER));
+        const result = await auth.processIncomingCall({
+            from: CALLER,
+            to: CALLED,
+            identityHeaders: [auth.toIdentityHeader(passport)]
+        });
+
+        expect(result).toMatchObject({ verified: false, errorCode: 'INVALID_ATTESTATION', action: 'label' });
+    });
+});
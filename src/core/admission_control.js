@@ -0,0 +1,168 @@
+/**
+ * Admission Control Implementation
+ * Enforces global and per-route capacity, per-trunk call rate limits
+ * and priority queuing for calls waiting on capacity
+ */
+
+/**
+ * Create an admission rejection error
+ * @param {string} code - Reject code
+ * @param {string} message - Error message
+ * @returns {Error} - Rejection error
+ */
+function rejection(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    error.rejected = true;
+    return error;
+}
+
+class AdmissionControl {
+    /**
+     * @param {Object} options - Admission options
+     * @param {number} options.maxConcurrentCalls - Global concurrent call limit
+     * @param {number} options.reservedCapacity - Slots held back for protected calls
+     * @param {Array} options.priorityClasses - Priority classes, highest first
+     * @param {boolean} options.queueEnabled - Queue calls when at capacity instead of rejecting
+     * @param {number} options.maxQueueSize - Maximum queued calls
+     * @param {number} options.queueTimeoutMs - Maximum time a call may wait in the queue
+     * @param {number} options.callsPerSecondPerTrunk - Default per-trunk call rate limit
+     * @param {Object} options.trunkCpsLimits - Per-trunk call rate overrides
+     */
+    constructor(options = {}) {
+        this.maxConcurrentCalls = options.maxConcurrentCalls || Infinity;
+        this.reservedCapacity = options.reservedCapacity || 0;
+        this.priorityClasses = options.priorityClasses || ['emergency', 'priority', 'standard'];
+        this.queueEnabled = options.queueEnabled !== false;
+        this.maxQueueSize = options.maxQueueSize || 100;
+        this.queueTimeoutMs = options.queueTimeoutMs || 5000;
+        this.callsPerSecondPerTrunk = options.callsPerSecondPerTrunk || Infinity;
+        this.trunkCpsLimits = options.trunkCpsLimits || {};
+
+        this.activeCalls = 0;
+        this.queue = [];
+        this.trunkWindows = new Map();
+    }
+
+    /**
+     * Get the queue rank of a priority class (lower is served first)
+     * @param {string} priorityClass - Priority class name
+     * @returns {number} - Class rank
+     */
+    getPriorityRank(priorityClass) {
+        const rank = this.priorityClasses.indexOf(priorityClass || 'standard');
+        if (rank === -1) {
+            throw rejection('UNKNOWN_PRIORITY_CLASS', `Unknown priority class: ${priorityClass}`);
+        }
+        return rank;
+    }
+
+    /**
+     * Get the concurrent call limit for calls that may not use reserved capacity
+     * @returns {number} - Standard call limit
+     */
+    getStandardLimit() {
+        return Math.max(0, this.maxConcurrentCalls - this.reservedCapacity);
+    }
+
+    /**
+     * Check and record a call against its originating trunk's rate limit
+     * @param {string} trunkId - Originating trunk identifier
+     */
+    checkTrunkRate(trunkId) {
+        if (!trunkId) return;
+
+        const limit = this.trunkCpsLimits[trunkId] || this.callsPerSecondPerTrunk;
+        const now = Date.now();
+        const window = (this.trunkWindows.get(trunkId) || []).filter(time => now - time < 1000);
+
+        if (window.length >= limit) {
+            this.trunkWindows.set(trunkId, window);
+            throw rejection('CPS_LIMIT_EXCEEDED', `Call rate limit exceeded for trunk ${trunkId}`);
+        }
+
+        window.push(now);
+        this.trunkWindows.set(trunkId, window);
+    }
+
+    /**
+     * Admit a call, queuing it by priority when global capacity is exhausted
+     * @param {Object} callRequest - Call request details ({ priority, trunkId })
+     * @param {Object} options - Admission options
+     * @param {boolean} options.bypassLimits - Admit protected calls unconditionally
+     * @returns {Promise<Object>} - Admission result
+     */
+    async admit(callRequest, options = {}) {
+        if (options.bypassLimits) {
+            this.activeCalls++;
+            return { admitted: true, queuedMs: 0, bypassed: true };
+        }
+
+        const rank = this.getPriorityRank(callRequest.priority);
+        this.checkTrunkRate(callRequest.trunkId);
+
+        if (this.activeCalls < this.getStandardLimit() && !this.queue.length) {
+            this.activeCalls++;
+            return { admitted: true, queuedMs: 0 };
+        }
+
+        if (!this.queueEnabled) {
+            throw rejection('GLOBAL_CAPACITY_EXCEEDED', 'Maximum concurrent calls reached');
+        }
+        if (this.queue.length >= this.maxQueueSize) {
+            throw rejection('QUEUE_FULL', 'Admission queue is full');
+        }
+
+        return new Promise((resolve, reject) => {
+            const entry = { rank, enqueuedAt: Date.now(), resolve, reject };
+            entry.timer = setTimeout(() => {
+                this.queue.splice(this.queue.indexOf(entry), 1);
+                reject(rejection('QUEUE_TIMEOUT', 'Call timed out waiting for capacity'));
+            }, this.queueTimeoutMs);
+
+            // Keep the queue ordered by priority, first-in first-out within a class
+            const position = this.queue.findIndex(queued => queued.rank > rank);
+            if (position === -1) this.queue.push(entry);
+            else this.queue.splice(position, 0, entry);
+        });
+    }
+
+    /**
+     * Release a call's capacity and admit the next queued call
+     */
+    release() {
+        this.activeCalls = Math.max(0, this.activeCalls - 1);
+
+        while (this.queue.length && this.activeCalls < this.getStandardLimit()) {
+            const entry = this.queue.shift();
+            clearTimeout(entry.timer);
+            this.activeCalls++;
+            entry.resolve({ admitted: true, queuedMs: Date.now() - entry.enqueuedAt });
+        }
+    }
+
+    /**
+     * Check whether a route can carry another call
+     * @param {Object} route - Registered route ({ capacity })
+     * @param {number} activeCalls - Calls currently on the route
+     * @returns {boolean} - Whether the route has free capacity
+     */
+    hasRouteCapacity(route, activeCalls) {
+        return !route || activeCalls < route.capacity;
+    }
+
+    /**
+     * Get current admission state
+     * @returns {Object} - Admission status
+     */
+    getStatus() {
+        return {
+            activeCalls: this.activeCalls,
+            maxConcurrentCalls: this.maxConcurrentCalls,
+            reservedCapacity: this.reservedCapacity,
+            queued: this.queue.length
+        };
+    }
+}
+
+module.exports = AdmissionControl;
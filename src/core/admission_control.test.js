@@ -0,0 +1,57 @@
+const AdmissionControl = require('./admission_control');
+
+describe('AdmissionControl', () => {
+    test('rejects calls at capacity when queuing is disabled', async () => {
+        const admission = new AdmissionControl({ maxConcurrentCalls: 1, queueEnabled: false });
+
+        await admission.admit({});
+        await expect(admission.admit({})).rejects.toMatchObject({ code: 'GLOBAL_CAPACITY_EXCEEDED' });
+    });
+
+    test('keeps reserved capacity for calls that bypass limits', async () => {
+        const admission = new AdmissionControl({ maxConcurrentCalls: 2, reservedCapacity: 1, queueEnabled: false });
+
+        await admission.admit({});
+        await expect(admission.admit({})).rejects.toMatchObject({ code: 'GLOBAL_CAPACITY_EXCEEDED' });
+        expect(await admission.admit({}, { bypassLimits: true })).toMatchObject({ admitted: true, bypassed: true });
+    });
+
+    test('limits the call rate of each trunk', async () => {
+        const admission = new AdmissionControl({ trunkCpsLimits: { 'trunk-1': 2 } });
+
+        await admission.admit({ trunkId: 'trunk-1' });
+        await admission.admit({ trunkId: 'trunk-1' });
+        await expect(admission.admit({ trunkId: 'trunk-1' })).rejects.toMatchObject({ code: 'CPS_LIMIT_EXCEEDED' });
+        await expect(admission.admit({ trunkId: 'trunk-2' })).resolves.toMatchObject({ admitted: true });
+    });
+
+    test('admits queued calls by priority as capacity frees up', async () => {
+        const admission = new AdmissionControl({ maxConcurrentCalls: 1 });
+        await admission.admit({});
+
+        const order = [];
+        const standard = admission.admit({ priority: 'standard' }).then(() => order.push('standard'));
+        const emergency = admission.admit({ priority: 'emergency' }).then(() => order.push('emergency'));
+
+        admission.release();
+        await emergency;
+        admission.release();
+        await standard;
+
+        expect(order).toEqual(['emergency', 'standard']);
+    });
+
+    test('times queued calls out', async () => {
+        const admission = new AdmissionControl({ maxConcurrentCalls: 1, queueTimeoutMs: 10 });
+        await admission.admit({});
+
+        await expect(admission.admit({})).rejects.toMatchObject({ code: 'QUEUE_TIMEOUT' });
+        expect(admission.queue).toHaveLength(0);
+    });
+
+    test('rejects unknown priority classes', async () => {
+        const admission = new AdmissionControl();
+
+        await expect(admission.admit({ priority: 'vip' })).rejects.toMatchObject({ code: 'UNKNOWN_PRIORITY_CLASS' });
+    });
+});
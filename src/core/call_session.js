@@ -0,0 +1,124 @@
+/**
+ * Call Session State Machine
+ * Tracks a call through its lifecycle and produces the call detail record (CDR)
+ */
+
+const TRANSITIONS = {
+    initiated: ['verifying', 'rejected', 'failed'],
+    verifying: ['routing', 'rejected', 'failed'],
+    routing: ['ringing', 'rejected', 'failed'],
+    ringing: ['answered', 'ended', 'failed'],
+    answered: ['ended', 'failed'],
+    ended: [],
+    failed: [],
+    rejected: []
+};
+
+class CallSession {
+    /**
+     * @param {Object} callRequest - Call request details
+     */
+    constructor(callRequest) {
+        this.id = callRequest.id;
+        this.from = callRequest.from;
+        this.to = callRequest.to;
+        this.state = 'initiated';
+        this.startTime = Date.now();
+        this.transitions = [{ state: 'initiated', at: this.startTime }];
+
+        this.servingOperator = null;
+        this.ingress = null;
+        this.ingressAction = null;
+        this.ingressRule = null;
+        this.route = null;
+        this.metrics = null;
+        this.costs = null;
+        this.attempts = [];
+        this.attestation = null;
+        this.attestationDecision = null;
+        this.verstat = null;
+        this.verificationAction = null;
+        this.verificationFlags = [];
+        this.riskScore = 0;
+        this.anomalies = [];
+        this.disconnectCause = null;
+    }
+
+    /**
+     * Move the call to a new state
+     * @param {string} state - Target state
+     * @param {Object} details - Fields to record on the session
+     */
+    transition(state, details = {}) {
+        if (!TRANSITIONS[this.state].includes(state)) {
+            throw new Error(`Invalid call state transition: ${this.state} -> ${state}`);
+        }
+
+        Object.assign(this, details);
+        this.state = state;
+        this.transitions.push({ state, at: Date.now() });
+    }
+
+    /**
+     * Check whether the call has finished
+     * @returns {boolean} - Whether the state is terminal
+     */
+    isTerminal() {
+        return TRANSITIONS[this.state].length === 0;
+    }
+
+    /**
+     * Get the time the call entered a state
+     * @param {string} state - State name
+     * @returns {number|null} - Transition timestamp
+     */
+    getTimestamp(state) {
+        const transition = this.transitions.find(t => t.state === state);
+        return transition ? transition.at : null;
+    }
+
+    /**
+     * Build the call detail record for a finished call
+     * @returns {Object} - Call detail record
+     */
+    toCDR() {
+        const ringingAt = this.getTimestamp('ringing');
+        const answeredAt = this.getTimestamp('answered');
+        const endedAt = this.transitions[this.transitions.length - 1].at;
+
+        let status = this.state;
+        if (this.state === 'ended') status = answeredAt ? 'successful' : 'unanswered';
+
+        return {
+            callId: this.id,
+            source: this.from,
+            destination: this.to,
+            status,
+            finalState: this.state,
+            startTime: this.startTime,
+            setupTime: ringingAt ? ringingAt - this.startTime : null,
+            answerTime: answeredAt,
+            endTime: endedAt,
+            duration: (endedAt - this.startTime) / 1000,
+            billableDuration: answeredAt ? Math.ceil((endedAt - answeredAt) / 1000) : 0,
+            servingOperator: this.servingOperator,
+            ingress: this.ingress,
+            ingressAction: this.ingressAction,
+            ingressRule: this.ingressRule,
+            route: this.route,
+            attempts: this.attempts,
+            attestation: this.attestation,
+            attestationDecision: this.attestationDecision,
+            verstat: this.verstat,
+            verificationAction: this.verificationAction,
+            verificationFlags: this.verificationFlags,
+            riskScore: this.riskScore,
+            disconnectCause: this.disconnectCause,
+            transitions: this.transitions
+        };
+    }
+}
+
+CallSession.TRANSITIONS = TRANSITIONS;
+
+module.exports = CallSession;
@@ -0,0 +1,45 @@
+const CallSession = require('./call_session');
+
+describe('CallSession', () => {
+    test('refuses transitions the state machine does not allow', () => {
+        const session = new CallSession({ id: 'call-1' });
+
+        expect(() => session.transition('answered')).toThrow('Invalid call state transition: initiated -> answered');
+        session.transition('rejected', { disconnectCause: 'SPOOFED_CLI' });
+        expect(session.isTerminal()).toBe(true);
+        expect(() => session.transition('verifying')).toThrow('Invalid call state transition');
+    });
+
+    test('builds the CDR of an answered call', () => {
+        let now = 1000000;
+        jest.spyOn(Date, 'now').mockImplementation(() => now);
+        const session = new CallSession({ id: 'call-1', from: '+911123456789', to: '+919876543210' });
+
+        session.transition('verifying');
+        session.transition('routing');
+        now += 500;
+        session.transition('ringing', { route: 'route1' });
+        now += 2000;
+        session.transition('answered');
+        now += 61000;
+        session.transition('ended', { disconnectCause: 'NORMAL_CLEARING' });
+        jest.restoreAllMocks();
+
+        expect(session.toCDR()).toMatchObject({
+            callId: 'call-1',
+            status: 'successful',
+            finalState: 'ended',
+            setupTime: 500,
+            billableDuration: 61,
+            route: 'route1',
+            disconnectCause: 'NORMAL_CLEARING'
+        });
+    });
+
+    test('marks ended calls without an answer as unanswered', () => {
+        const session = new CallSession({ id: 'call-1' });
+        ['verifying', 'routing', 'ringing', 'ended'].forEach(state => session.transition(state));
+
+        expect(session.toCDR()).toMatchObject({ status: 'unanswered', billableDuration: 0 });
+    });
+});
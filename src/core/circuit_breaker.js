@@ -0,0 +1,72 @@
+/**
+ * Circuit Breaker Implementation
+ * Stops sending calls to a route after repeated setup failures
+ */
+
+class CircuitBreaker {
+    /**
+     * @param {Object} options - Breaker options
+     * @param {number} options.failureThreshold - Consecutive failures before opening
+     * @param {number} options.resetTimeoutMs - Time before a trial call is allowed
+     */
+    constructor(options = {}) {
+        this.failureThreshold = options.failureThreshold || 5;
+        this.resetTimeoutMs = options.resetTimeoutMs || 30000;
+        this.state = 'closed';
+        this.consecutiveFailures = 0;
+        this.openedAt = null;
+    }
+
+    /**
+     * Get the current breaker state, moving to half-open once the reset timeout passes
+     * @returns {string} - closed, open or half-open
+     */
+    getState() {
+        if (this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+            this.state = 'half-open';
+        }
+        return this.state;
+    }
+
+    /**
+     * Check whether a call may be attempted
+     * @returns {boolean} - Whether the route can be tried
+     */
+    canAttempt() {
+        return this.getState() !== 'open';
+    }
+
+    /**
+     * Record a successful attempt and close the breaker
+     */
+    recordSuccess() {
+        this.state = 'closed';
+        this.consecutiveFailures = 0;
+        this.openedAt = null;
+    }
+
+    /**
+     * Record a failed attempt, opening the breaker when the threshold is reached
+     */
+    recordFailure() {
+        this.consecutiveFailures++;
+        if (this.getState() === 'half-open' || this.consecutiveFailures >= this.failureThreshold) {
+            this.state = 'open';
+            this.openedAt = Date.now();
+        }
+    }
+
+    /**
+     * Get a snapshot of the breaker
+     * @returns {Object} - Breaker status
+     */
+    getStatus() {
+        return {
+            state: this.getState(),
+            consecutiveFailures: this.consecutiveFailures,
+            openedAt: this.openedAt
+        };
+    }
+}
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,45 @@
+const CircuitBreaker = require('./circuit_breaker');
+
+describe('CircuitBreaker', () => {
+    let now;
+
+    beforeEach(() => {
+        now = 1000000;
+        jest.spyOn(Date, 'now').mockImplementation(() => now);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('opens after consecutive failures', () => {
+        const breaker = new CircuitBreaker({ failureThreshold: 2, resetTimeoutMs: 1000 });
+
+        breaker.recordFailure();
+        expect(breaker.canAttempt()).toBe(true);
+        breaker.recordFailure();
+        expect(breaker.getState()).toBe('open');
+        expect(breaker.canAttempt()).toBe(false);
+    });
+
+    test('allows a trial call after the reset timeout and reopens if it fails', () => {
+        const breaker = new CircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 1000 });
+        breaker.recordFailure();
+
+        now += 1000;
+        expect(breaker.getState()).toBe('half-open');
+
+        breaker.recordFailure();
+        expect(breaker.getState()).toBe('open');
+    });
+
+    test('closes again after a successful trial call', () => {
+        const breaker = new CircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 1000 });
+        breaker.recordFailure();
+        now += 1000;
+
+        breaker.recordSuccess();
+
+        expect(breaker.getStatus()).toEqual({ state: 'closed', consecutiveFailures: 0, openedAt: null });
+    });
+});
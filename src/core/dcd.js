@@ -3,52 +3,61 @@
  * Based on the paper's specifications in Section 3.2.1
  */
 
+const { createStrategy } = require('./load_balancing');
+const RouteHealthTracker = require('../monitoring/route_health');
+
 class DynamicCallDistribution {
-    constructor() {
+    /**
+     * @param {RouteRegistry} routeRegistry - Registry of available routes
+     * @param {Object} options - Distribution options
+     * @param {string|Object} options.loadBalancingStrategy - Strategy name or instance
+     * @param {RouteHealthTracker} options.healthTracker - Observed route health
+     */
+    constructor(routeRegistry, options = {}) {
+        this.routeRegistry = routeRegistry;
+        this.healthTracker = options.healthTracker || new RouteHealthTracker();
         this.routes = new Map();
         // Constants for weight calculation
         this.LATENCY_WEIGHT = 0.4;  // α
         this.LOAD_WEIGHT = 0.3;     // β
         this.RELIABILITY_WEIGHT = 0.3; // γ
+        this.setLoadBalancingStrategy(options.loadBalancingStrategy || 'round-robin');
+    }
+
+    /**
+     * Switch the load balancing strategy used to pick among weighted routes
+     * @param {string|Object} strategy - Strategy name or object implementing order()
+     */
+    setLoadBalancingStrategy(strategy) {
+        this.strategy = typeof strategy === 'string' ? createStrategy(strategy) : strategy;
     }
 
     /**
-     * Measure latency for a given route
+     * Get observed setup latency for a given route
      * @param {string} route - Route identifier
-     * @returns {number} - Measured latency in milliseconds
+     * @returns {Promise<number>} - Decayed average latency in milliseconds
      */
     async measureLatency(route) {
-        // Implementation would include actual network measurements
-        // For prototype, using simulated values
-        return new Promise((resolve) => {
-            const baseLatency = 50; // Base latency in ms
-            const jitter = Math.random() * 20; // Random jitter
-            resolve(baseLatency + jitter);
-        });
+        return this.healthTracker.getLatency(route);
     }
 
     /**
      * Get current load for a route
      * @param {string} route - Route identifier
-     * @returns {number} - Load percentage (0-1)
+     * @returns {number} - Active calls relative to route capacity (0-1)
      */
     getCurrentLoad(route) {
-        // In production, this would query actual system metrics
-        // For prototype, simulating load
-        return Math.random();
+        const registered = this.routeRegistry.getRoute(route);
+        return this.healthTracker.getLoad(route, registered ? registered.capacity : Infinity);
     }
 
     /**
      * Calculate reliability score for a route
      * @param {string} route - Route identifier
-     * @returns {number} - Reliability score (0-1)
+     * @returns {number} - Reliability score from observed setup and answer ratios (0-1)
      */
     calculateReliability(route) {
-        // In production, this would use historical performance data
-        // For prototype, using simulated reliability
-        const baseReliability = 0.95;
-        const variation = Math.random() * 0.1;
-        return Math.min(1, baseReliability + variation);
+        return this.healthTracker.getReliability(route);
     }
 
     /**
@@ -69,14 +78,18 @@ class DynamicCallDistribution {
     }
 
     /**
-     * Get optimal route for a call request
+     * Score all available routes for a call request
      * @param {Object} networkState - Current network state
      * @param {Object} callRequest - Call request details
-     * @returns {Promise<Object>} - Selected optimal route
+     * @returns {Promise<Array>} - Weighted route candidates, highest weight first
      */
-    async getOptimalRoute(networkState, callRequest) {
-        const availableRoutes = await this.getAvailableRoutes(networkState);
-        const weightedRoutes = new Map();
+    async scoreRoutes(networkState, callRequest) {
+        const availableRoutes = await this.getAvailableRoutes(networkState, callRequest);
+        if (!availableRoutes.length) {
+            throw new Error(`No route available for destination: ${callRequest.to}`);
+        }
+
+        const candidates = [];
 
         for (const route of availableRoutes) {
             const latency = await this.measureLatency(route);
@@ -89,37 +102,56 @@ class DynamicCallDistribution {
                 reliability
             });
 
-            weightedRoutes.set(route, {
+            candidates.push({
+                route,
                 weight,
                 metrics: { latency, load, reliability }
             });
         }
 
-        // Sort routes by weight and select the optimal one
-        const sortedRoutes = Array.from(weightedRoutes.entries())
-            .sort((a, b) => b[1].weight - a[1].weight);
+        return candidates.sort((a, b) => (b.weight - a.weight) || (a.route < b.route ? -1 : 1));
+    }
+
+    /**
+     * Rank all available routes for a call request
+     * @param {Object} networkState - Current network state
+     * @param {Object} callRequest - Call request details
+     * @returns {Promise<Array>} - Route candidates in preference order
+     */
+    async rankRoutes(networkState, callRequest) {
+        const candidates = await this.scoreRoutes(networkState, callRequest);
+
+        // Let the configured strategy order the weighted routes
+        return this.strategy.order(candidates, { networkState, callRequest });
+    }
+
+    /**
+     * Get optimal route for a call request
+     * @param {Object} networkState - Current network state
+     * @param {Object} callRequest - Call request details
+     * @returns {Promise<Object>} - Selected optimal route
+     */
+    async getOptimalRoute(networkState, callRequest) {
+        const ordered = await this.rankRoutes(networkState, callRequest);
 
         return {
-            selectedRoute: sortedRoutes[0][0],
-            metrics: sortedRoutes[0][1].metrics,
-            weight: sortedRoutes[0][1].weight
+            selectedRoute: ordered[0].route,
+            metrics: ordered[0].metrics,
+            weight: ordered[0].weight,
+            strategy: this.strategy.name
         };
     }
 
     /**
-     * Get available routes from network state
+     * Get available routes from the route registry
      * @param {Object} networkState - Current network state
-     * @returns {Promise<Array>} - List of available routes
+     * @param {Object} callRequest - Call request details
+     * @returns {Promise<Array>} - List of available route identifiers
      */
-    async getAvailableRoutes(networkState) {
-        // In production, this would query network topology
-        // For prototype, returning simulated routes
-        return [
-            'route1',
-            'route2',
-            'route3',
-            'route4'
-        ];
+    async getAvailableRoutes(networkState, callRequest = {}) {
+        return this.routeRegistry
+            .getRoutesForDestination(callRequest.to, callRequest.servingOperator)
+            .map(route => route.id);
     }
 }
 
@@ -0,0 +1,232 @@
+/**
+ * Ingress Screening
+ * Tags calls with the point they entered the network (international gateway or
+ * domestic trunk) and screens their caller ID against ingress rules, so domestic
+ * CLIs arriving from abroad can be flagged or blocked as likely spoofs
+ */
+
+const INGRESS_TYPES = ['international', 'domestic'];
+const SCREENING_ACTIONS = ['allow', 'flag', 'block'];
+
+class IngressScreening {
+    /**
+     * @param {Object} options - Screening options
+     * @param {string} options.countryCode - Domestic country code
+     * @param {string} options.defaultType - Ingress type of calls from untagged trunks
+     * @param {Object} options.trunks - Ingress type per trunk identifier
+     * @param {string} options.domesticCliAction - Action for domestic CLIs on international ingress
+     * @param {Array} options.rules - Additional rules ({ id, ingress, cliPrefixes, trunks, action })
+     * @param {Array} options.roamingAllowlist - Numbers (or { number, until }) allowed to present
+     *                                          a domestic CLI from abroad
+     */
+    constructor(options = {}) {
+        this.countryCode = options.countryCode || '91';
+        this.defaultType = this.validateType(options.defaultType || 'domestic');
+        this.trunkTypes = new Map();
+        this.rules = [];
+        this.roamingSubscribers = new Map();
+
+        for (const [trunkId, type] of Object.entries(options.trunks || {})) {
+            this.setTrunkType(trunkId, type);
+        }
+        for (const rule of options.rules || []) {
+            this.addRule(rule);
+        }
+        // Evaluated after the configured rules, which can carve out exceptions
+        this.domesticCliRule = this.createRule({
+            id: 'DOMESTIC_CLI_ON_INTERNATIONAL_INGRESS',
+            ingress: 'international',
+            cliPrefixes: [this.countryCode],
+            action: options.domesticCliAction || 'block'
+        });
+        for (const entry of options.roamingAllowlist || []) {
+            if (typeof entry === 'string') this.addRoamingSubscriber(entry);
+            else this.addRoamingSubscriber(entry.number, { until: entry.until });
+        }
+    }
+
+    /**
+     * Check an ingress type name
+     * @param {string} type - Ingress type
+     * @returns {string} - The type, if known
+     */
+    validateType(type) {
+        if (!INGRESS_TYPES.includes(type)) {
+            throw new Error(`Unknown ingress type: ${type}`);
+        }
+        return type;
+    }
+
+    /**
+     * Bring a caller ID to E.164 digits, treating national formats as domestic
+     * @param {string} number - Caller ID
+     * @returns {string} - E.164 digits without the leading +
+     */
+    normalizeNumber(number) {
+        const text = String(number || '').trim();
+        const digits = text.replace(/\D/g, '');
+        if (text.startsWith('+') || text.startsWith('00')) {
+            return text.startsWith('00') ? digits.slice(2) : digits;
+        }
+        // National formats: 10-digit subscriber numbers, optionally with the 0 trunk prefix
+        if (/^0?\d{10}$/.test(digits)) {
+            return this.countryCode + digits.slice(-10);
+        }
+        return digits;
+    }
+
+    /**
+     * Set the ingress type of a trunk
+     * @param {string} trunkId - Trunk identifier
+     * @param {string} type - 'international' or 'domestic'
+     */
+    setTrunkType(trunkId, type) {
+        this.trunkTypes.set(trunkId, this.validateType(type));
+    }
+
+    /**
+     * Validate a rule definition
+     * @param {Object} rule - Rule definition
+     * @returns {Object} - Normalized rule
+     */
+    createRule(rule) {
+        if (!rule || !rule.id) {
+            throw new Error('Screening rule id is required');
+        }
+        if (!SCREENING_ACTIONS.includes(rule.action)) {
+            throw new Error(`Invalid action for screening rule ${rule.id}: ${rule.action}`);
+        }
+
+        return {
+            id: rule.id,
+            ingress: rule.ingress ? [].concat(rule.ingress).map(type => this.validateType(type)) : null,
+            cliPrefixes: (rule.cliPrefixes || []).map(prefix => String(prefix).replace(/\D/g, '')),
+            trunks: rule.trunks || null,
+            action: rule.action
+        };
+    }
+
+    /**
+     * Add a screening rule. Rules are evaluated in order, ahead of the built-in
+     * domestic CLI rule, and the first match decides.
+     * @param {Object} rule - Rule definition
+     * @param {string} rule.id - Rule identifier, reported on matching calls
+     * @param {string|Array} rule.ingress - Ingress type(s) the rule applies to
+     * @param {Array} rule.cliPrefixes - E.164 caller ID prefixes (digits) the rule applies to
+     * @param {Array} rule.trunks - Optional trunk identifiers the rule is limited to
+     * @param {string} rule.action - 'allow', 'flag' or 'block'
+     * @returns {Object} - Registered rule
+     */
+    addRule(rule) {
+        const registered = this.createRule(rule);
+        if (this.rules.some(existing => existing.id === registered.id)) {
+            throw new Error(`Screening rule already exists: ${registered.id}`);
+        }
+        this.rules.push(registered);
+        return registered;
+    }
+
+    /**
+     * Remove a screening rule
+     * @param {string} ruleId - Rule identifier
+     * @returns {boolean} - Whether the rule existed
+     */
+    removeRule(ruleId) {
+        const index = this.rules.findIndex(rule => rule.id === ruleId);
+        if (index === -1) return false;
+        this.rules.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * Allow a subscriber roaming abroad to present their own domestic CLI
+     * @param {string} number - Subscriber number
+     * @param {Object} options - Allowlist options ({ until }: end of the roaming period)
+     * @returns {Object} - Allowlist entry
+     */
+    addRoamingSubscriber(number, options = {}) {
+        const digits = this.normalizeNumber(number);
+        if (!digits) throw new Error('Number is required');
+
+        const entry = {
+            number: digits,
+            until: options.until !== undefined ? new Date(options.until).getTime() : Infinity
+        };
+        this.roamingSubscribers.set(digits, entry);
+        return entry;
+    }
+
+    /**
+     * Remove a subscriber from the roaming allowlist
+     * @param {string} number - Subscriber number
+     * @returns {boolean} - Whether the subscriber was allowlisted
+     */
+    removeRoamingSubscriber(number) {
+        return this.roamingSubscribers.delete(this.normalizeNumber(number));
+    }
+
+    /**
+     * Check whether a number is on the roaming allowlist
+     * @param {string} number - Subscriber number
+     * @param {number} at - Reference time
+     * @returns {boolean} - Whether the number is allowlisted and its roaming period is open
+     */
+    isRoaming(number, at = Date.now()) {
+        const entry = this.roamingSubscribers.get(this.normalizeNumber(number));
+        return Boolean(entry) && entry.until > at;
+    }
+
+    /**
+     * Determine where a call entered the network. A configured trunk decides; for other
+     * trunks signalling may tag the request (callRequest.ingress), but only to mark it
+     * international, since the tag comes from the caller's side and must not lift screening.
+     * @param {Object} callRequest - Call request details ({ ingress, trunkId })
+     * @returns {Object} - Ingress tag ({ type, trunkId })
+     */
+    tagIngress(callRequest) {
+        const trunkId = callRequest.trunkId || null;
+        const tagged = callRequest.ingress ? this.validateType(callRequest.ingress) : null;
+        const configured = trunkId && this.trunkTypes.get(trunkId);
+        const type = configured || (tagged === 'international' ? tagged : this.defaultType);
+        return { type, trunkId };
+    }
+
+    /**
+     * Find the first rule matching a call
+     * @param {Object} ingress - Ingress tag
+     * @param {string} cli - Normalized caller ID
+     * @returns {Object|null} - Matching rule
+     */
+    matchRule(ingress, cli) {
+        return [...this.rules, this.domesticCliRule].find(rule =>
+            (!rule.ingress || rule.ingress.includes(ingress.type)) &&
+            (!rule.trunks || rule.trunks.includes(ingress.trunkId)) &&
+            (!rule.cliPrefixes.length || rule.cliPrefixes.some(prefix => cli.startsWith(prefix)))
+        ) || null;
+    }
+
+    /**
+     * Screen a call's caller ID against its ingress
+     * @param {Object} callRequest - Call request details ({ from, ingress, trunkId })
+     * @returns {Object} - Outcome ({ ingress, trunkId, cli, action, rule, roaming })
+     */
+    screen(callRequest) {
+        const ingress = this.tagIngress(callRequest);
+        const cli = this.normalizeNumber(callRequest.from);
+        const outcome = { ingress: ingress.type, trunkId: ingress.trunkId, cli };
+
+        const rule = this.matchRule(ingress, cli);
+        if (!rule) {
+            return { ...outcome, action: 'allow', rule: null, roaming: false };
+        }
+        if (rule.action !== 'allow' && ingress.type === 'international' && this.isRoaming(cli)) {
+            return { ...outcome, action: 'allow', rule: rule.id, roaming: true };
+        }
+        return { ...outcome, action: rule.action, rule: rule.id, roaming: false };
+    }
+}
+
+IngressScreening.INGRESS_TYPES = INGRESS_TYPES;
+IngressScreening.SCREENING_ACTIONS = SCREENING_ACTIONS;
+
+module.exports = IngressScreening;
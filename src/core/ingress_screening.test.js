@@ -0,0 +1,64 @@
+const IngressScreening = require('./ingress_screening');
+
+function createScreening(options = {}) {
+    return new IngressScreening({
+        trunks: { 'gw-1': 'international', 'trunk-1': 'domestic' },
+        ...options
+    });
+}
+
+describe('IngressScreening', () => {
+    test('tags ingress from the configured trunk, then signalling, then the default', () => {
+        const screening = createScreening();
+
+        expect(screening.tagIngress({ trunkId: 'gw-1' })).toEqual({ type: 'international', trunkId: 'gw-1' });
+        expect(screening.tagIngress({ ingress: 'international', trunkId: 'trunk-1' }).type).toBe('domestic');
+        expect(screening.tagIngress({ ingress: 'international', trunkId: 'gw-9' }).type).toBe('international');
+        expect(screening.tagIngress({})).toEqual({ type: 'domestic', trunkId: null });
+        expect(() => screening.tagIngress({ ingress: 'satellite' })).toThrow('Unknown ingress type');
+    });
+
+    test('does not let a signalling tag downgrade international ingress', () => {
+        const screening = createScreening();
+        const untagged = createScreening({ defaultType: 'international' });
+
+        expect(screening.screen({ from: '+919876543210', trunkId: 'gw-1', ingress: 'domestic' }))
+            .toMatchObject({ ingress: 'international', action: 'block' });
+        expect(untagged.tagIngress({ ingress: 'domestic', trunkId: 'gw-9' }).type).toBe('international');
+    });
+
+    test('blocks domestic CLIs arriving over an international gateway', () => {
+        const screening = createScreening();
+
+        expect(screening.screen({ from: '09876543210', trunkId: 'gw-1' }))
+            .toMatchObject({ cli: '919876543210', action: 'block', rule: 'DOMESTIC_CLI_ON_INTERNATIONAL_INGRESS' });
+        expect(screening.screen({ from: '+919876543210', trunkId: 'trunk-1' }).action).toBe('allow');
+        expect(screening.screen({ from: '+441234567890', trunkId: 'gw-1' }).action).toBe('allow');
+    });
+
+    test('lets configured rules carve out exceptions ahead of the built-in rule', () => {
+        const screening = createScreening({
+            domesticCliAction: 'flag',
+            rules: [{ id: 'PARTNER_GATEWAY', ingress: 'international', trunks: ['gw-2'], action: 'allow' }]
+        });
+        screening.setTrunkType('gw-2', 'international');
+
+        expect(screening.screen({ from: '+919876543210', trunkId: 'gw-2' }))
+            .toMatchObject({ action: 'allow', rule: 'PARTNER_GATEWAY' });
+        expect(screening.screen({ from: '+919876543210', trunkId: 'gw-1' }).action).toBe('flag');
+        expect(() => screening.addRule({ id: 'PARTNER_GATEWAY', action: 'allow' })).toThrow('already exists');
+    });
+
+    test('allows roaming subscribers until their roaming period ends', () => {
+        const screening = createScreening({
+            roamingAllowlist: [{ number: '+919876543210', until: Date.now() + 60000 }, '+919800000000']
+        });
+
+        expect(screening.screen({ from: '+919876543210', trunkId: 'gw-1' }))
+            .toMatchObject({ action: 'allow', roaming: true });
+        expect(screening.isRoaming('+919876543210', Date.now() + 120000)).toBe(false);
+
+        screening.removeRoamingSubscriber('+919800000000');
+        expect(screening.screen({ from: '+919800000000', trunkId: 'gw-1' }).action).toBe('block');
+    });
+});
@@ -3,8 +3,22 @@
  * Based on the paper's specifications in Section 3.2.2
  */
 
+const RateDeckManager = require('./rate_deck');
+const RouteHealthTracker = require('../monitoring/route_health');
+
 class LeastCostRouting {
-    constructor() {
+    /**
+     * @param {RouteRegistry} routeRegistry - Registry of available routes
+     * @param {Object} options - Routing options
+     * @param {RateDeckManager} options.rateDecks - Carrier rate decks
+     * @param {number} options.referenceCallDuration - Call duration (seconds) used to price routes
+     * @param {RouteHealthTracker} options.healthTracker - Observed route health
+     */
+    constructor(routeRegistry, options = {}) {
+        this.routeRegistry = routeRegistry;
+        this.rateDecks = options.rateDecks || new RateDeckManager();
+        this.healthTracker = options.healthTracker || new RouteHealthTracker();
+        this.REFERENCE_CALL_DURATION = options.referenceCallDuration || 60;
         this.DELAY_PENALTY_FACTOR = 0.2; // λ in the paper's equation
         this.routes = new Map();
     }
@@ -34,62 +48,101 @@ class LeastCostRouting {
     }
 
     /**
-     * Get route costs based on various factors
+     * Get route costs for a destination from the carrier's rate deck
      * @param {string} routeId - Route identifier
-     * @returns {Object} - Route costs and weights
+     * @param {string} destination - E.164 destination number
+     * @param {string} servingOperator - Operator currently serving the number, if known
+     * @returns {Object|null} - Route costs and weights (rate is null for carriers without a
+     *                          deck), or null if the deck has no rate
      */
-    getRouteCosts(routeId) {
-        // In production, this would query actual cost data
-        // For prototype, using simulated costs
-        return {
-            costs: [
-                Math.random() * 10, // Network cost
-                Math.random() * 5,  // Processing cost
-                Math.random() * 3   // Maintenance cost
-            ],
-            weights: [0.5, 0.3, 0.2] // Corresponding weights
-        };
+    getRouteCosts(routeId, destination, servingOperator) {
+        const route = this.routeRegistry.getRoute(routeId);
+        const carrier = route ? route.carrier : routeId;
+
+        if (this.rateDecks.hasDeck(carrier)) {
+            const rate = this.rateDecks.findRate(carrier, destination, Date.now(), servingOperator);
+            if (!rate) return null;
+
+            return {
+                costs: [
+                    this.rateDecks.calculateCallCost(rate, this.REFERENCE_CALL_DURATION)
+                ],
+                weights: [1],
+                rate
+            };
+        }
+
+        // Carriers without a loaded deck are unpriced rather than given made-up costs
+        return { costs: [], weights: [], rate: null };
     }
 
     /**
-     * Measure route delay
+     * Get observed route delay
      * @param {string} routeId - Route identifier
-     * @returns {Promise<number>} - Delay in milliseconds
+     * @returns {Promise<number>} - Decayed average setup latency in milliseconds
      */
     async measureDelay(routeId) {
-        // In production, this would measure actual network delay
-        // For prototype, simulating delay
-        return new Promise((resolve) => {
-            const baseDelay = 30;
-            const variation = Math.random() * 15;
-            resolve(baseDelay + variation);
-        });
+        return this.healthTracker.getLatency(routeId);
+    }
+
+    /**
+     * Price a single route for a destination
+     * @param {string} routeId - Route identifier
+     * @param {string} destination - E.164 destination number
+     * @param {string} servingOperator - Operator currently serving the number, if known
+     * @returns {Promise<Object|null>} - Total cost (null for unpriced carriers), delay and cost
+     *                                   breakdown, or null if unrated
+     */
+    async evaluateRoute(routeId, destination, servingOperator) {
+        const routeCostInfo = this.getRouteCosts(routeId, destination, servingOperator);
+        if (!routeCostInfo) return null;
+
+        const delay = await this.measureDelay(routeId);
+        // Deck prices are compared as billed: a delay penalty in milliseconds would
+        // outweigh real per-minute rates
+        const totalCost = routeCostInfo.rate ? this.calculateTotalCost(routeCostInfo, 0) : null;
+
+        return {
+            totalCost,
+            delay,
+            ...routeCostInfo
+        };
     }
 
     /**
      * Find the optimal route with least cost
-     * @param {Array} availableRoutes - List of available routes
+     * @param {Array} availableRoutes - List of route identifiers (defaults to all active routes)
+     * @param {string} destination - E.164 destination number
+     * @param {string} servingOperator - Operator currently serving the number, if known
      * @returns {Promise<Object>} - Selected route with lowest cost
      */
-    async findOptimalRoute(availableRoutes) {
+    async findOptimalRoute(availableRoutes, destination, servingOperator) {
+        const candidates = (availableRoutes || this.routeRegistry.listRoutes({ status: 'active' })
+            .map(route => route.id))
+            .filter(routeId => this.routeRegistry.isRoutable(routeId));
+        if (!candidates.length) {
+            throw new Error('No active route available for cost calculation');
+        }
+
         const routeCosts = new Map();
 
         // Calculate costs for all available routes
-        for (const routeId of availableRoutes) {
-            const routeCostInfo = this.getRouteCosts(routeId);
-            const delay = await this.measureDelay(routeId);
-            const totalCost = this.calculateTotalCost(routeCostInfo, delay);
-
-            routeCosts.set(routeId, {
-                totalCost,
-                delay,
-                ...routeCostInfo
-            });
+        for (const routeId of candidates) {
+            const routeCost = await this.evaluateRoute(routeId, destination, servingOperator);
+            if (routeCost) routeCosts.set(routeId, routeCost);
         }
 
-        // Sort routes by total cost and select the cheapest
-        const sortedRoutes = Array.from(routeCosts.entries())
-            .sort((a, b) => a[1].totalCost - b[1].totalCost);
+        if (!routeCosts.size) {
+            throw new Error(`No rated route available for destination: ${destination}`);
+        }
+
+        // Cheapest priced route first; unpriced routes follow, fastest first
+        const sortedRoutes = Array.from(routeCosts.entries()).sort((a, b) => {
+            const [costA, costB] = [a[1].totalCost, b[1].totalCost];
+            if (costA !== null && costB !== null) return costA - costB;
+            if (costA !== null || costB !== null) return costA === null ? 1 : -1;
+            return a[1].delay - b[1].delay;
+        });
 
         return {
             selectedRoute: sortedRoutes[0][0],
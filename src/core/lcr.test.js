@@ -0,0 +1,58 @@
+const LeastCostRouting = require('./lcr');
+const RouteRegistry = require('./route_registry');
+const RateDeckManager = require('./rate_deck');
+const RouteHealthTracker = require('../monitoring/route_health');
+
+function createLcr() {
+    const registry = new RouteRegistry([
+        { id: 'cheap', carrier: 'carrier-a' },
+        { id: 'dear', carrier: 'carrier-b' },
+        { id: 'undecked', carrier: 'carrier-c' }
+    ]);
+    const rateDecks = new RateDeckManager();
+    rateDecks.loadDeck('carrier-a', 'prefix,rate_per_minute\n91,0.40\n');
+    rateDecks.loadDeck('carrier-b', 'prefix,rate_per_minute\n91,0.45\n');
+    const healthTracker = new RouteHealthTracker();
+    return { lcr: new LeastCostRouting(registry, { rateDecks, healthTracker }), healthTracker };
+}
+
+describe('LeastCostRouting', () => {
+    test('ranks decked routes by billed deck cost regardless of delay', async () => {
+        const { lcr, healthTracker } = createLcr();
+        healthTracker.recordAttempt('cheap', { success: true, latencyMs: 180 });
+        healthTracker.recordAttempt('dear', { success: true, latencyMs: 10 });
+
+        const result = await lcr.findOptimalRoute(['cheap', 'dear'], '+919876543210');
+
+        expect(result.selectedRoute).toBe('cheap');
+        expect(result.metrics.totalCost).toBeCloseTo(0.40);
+        expect(result.metrics.delay).toBe(180);
+    });
+
+    test('prices the same route identically on every evaluation', async () => {
+        const { lcr } = createLcr();
+        const first = await lcr.evaluateRoute('dear', '+919876543210');
+        const second = await lcr.evaluateRoute('dear', '+919876543210');
+
+        expect(second.totalCost).toBe(first.totalCost);
+    });
+
+    test('leaves carriers without a deck unpriced and ranks them last', async () => {
+        const { lcr } = createLcr();
+        const unpriced = await lcr.evaluateRoute('undecked', '+919876543210');
+
+        expect(unpriced.totalCost).toBeNull();
+        expect(unpriced.rate).toBeNull();
+
+        const result = await lcr.findOptimalRoute(['undecked', 'dear'], '+919876543210');
+        expect(result.selectedRoute).toBe('dear');
+    });
+
+    test('skips routes whose deck has no rate for the destination', async () => {
+        const { lcr } = createLcr();
+
+        expect(await lcr.evaluateRoute('cheap', '+441234567890')).toBeNull();
+        await expect(lcr.findOptimalRoute(['cheap', 'dear'], '+441234567890'))
+            .rejects.toThrow('No rated route available');
+    });
+});
@@ -0,0 +1,193 @@
+/**
+ * Load Balancing Strategies for Dynamic Call Distribution
+ * Each strategy orders weighted route candidates by preference;
+ * the first candidate is the selected route, the rest are fallbacks.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Sort candidates by route identifier so ordering does not depend on
+ * the order routes were measured in
+ * @param {Array} candidates - Route candidates
+ * @returns {Array} - Sorted copy
+ */
+function sortById(candidates) {
+    return [...candidates].sort((a, b) => (a.route < b.route ? -1 : a.route > b.route ? 1 : 0));
+}
+
+class RoundRobinStrategy {
+    constructor() {
+        this.name = 'round-robin';
+        this.counter = 0;
+    }
+
+    /**
+     * Rotate the selected route through candidates on every call; the other
+     * candidates keep the order they were ranked in as fallbacks
+     * @param {Array} candidates - Route candidates ({ route, weight, metrics }), best ranked first
+     * @returns {Array} - Candidates in preference order
+     */
+    order(candidates) {
+        const sorted = sortById(candidates);
+        const selected = sorted[this.counter % sorted.length];
+        this.counter++;
+        return [selected, ...candidates.filter(candidate => candidate !== selected)];
+    }
+}
+
+class WeightedRandomStrategy {
+    /**
+     * @param {Object} options - Strategy options
+     * @param {Function} options.random - Random source returning [0, 1), injectable for tests
+     */
+    constructor(options = {}) {
+        this.name = 'weighted-random';
+        this.random = options.random || Math.random;
+    }
+
+    /**
+     * Draw candidates without replacement, proportionally to route weight
+     * @param {Array} candidates - Route candidates ({ route, weight, metrics })
+     * @returns {Array} - Candidates in preference order
+     */
+    order(candidates) {
+        const remaining = sortById(candidates);
+        const ordered = [];
+
+        while (remaining.length) {
+            const totalWeight = remaining.reduce((sum, c) => sum + Math.max(0, c.weight), 0);
+            let index = remaining.length - 1;
+
+            if (totalWeight > 0) {
+                let threshold = this.random() * totalWeight;
+                for (let i = 0; i < remaining.length; i++) {
+                    threshold -= Math.max(0, remaining[i].weight);
+                    if (threshold < 0) {
+                        index = i;
+                        break;
+                    }
+                }
+            } else {
+                index = Math.floor(this.random() * remaining.length);
+            }
+
+            ordered.push(remaining.splice(index, 1)[0]);
+        }
+
+        return ordered;
+    }
+}
+
+class LeastActiveCallsStrategy {
+    constructor() {
+        this.name = 'least-active-calls';
+    }
+
+    /**
+     * Prefer routes carrying the fewest active calls, breaking ties by weight
+     * @param {Array} candidates - Route candidates ({ route, weight, metrics })
+     * @param {Object} context - Selection context ({ networkState })
+     * @returns {Array} - Candidates in preference order
+     */
+    order(candidates, context = {}) {
+        const activeCalls = (context.networkState && context.networkState.activeCallsPerRoute) || {};
+        return sortById(candidates).sort((a, b) =>
+            ((activeCalls[a.route] || 0) - (activeCalls[b.route] || 0)) || (b.weight - a.weight)
+        );
+    }
+}
+
+class ConsistentHashStrategy {
+    /**
+     * @param {Object} options - Strategy options
+     * @param {number} options.virtualNodes - Ring points per route
+     */
+    constructor(options = {}) {
+        this.name = 'consistent-hash';
+        this.virtualNodes = options.virtualNodes || 100;
+        this.rings = new Map();
+    }
+
+    /**
+     * Hash a key onto the ring
+     * @param {string} key - Key to hash
+     * @returns {number} - 32-bit ring position
+     */
+    hash(key) {
+        return crypto.createHash('md5').update(key).digest().readUInt32BE(0);
+    }
+
+    /**
+     * Build (or reuse) the hash ring for a set of routes
+     * @param {Array} routeIds - Route identifiers
+     * @returns {Array} - Sorted ring points
+     */
+    getRing(routeIds) {
+        const ringKey = routeIds.join('|');
+        if (!this.rings.has(ringKey)) {
+            const ring = [];
+            for (const route of routeIds) {
+                for (let i = 0; i < this.virtualNodes; i++) {
+                    ring.push({ position: this.hash(`${route}#${i}`), route });
+                }
+            }
+            ring.sort((a, b) => a.position - b.position);
+            this.rings.set(ringKey, ring);
+        }
+        return this.rings.get(ringKey);
+    }
+
+    /**
+     * Map the caller number onto the ring so a caller sticks to the same route
+     * @param {Array} candidates - Route candidates ({ route, weight, metrics })
+     * @param {Object} context - Selection context ({ callRequest })
+     * @returns {Array} - Candidates in preference order
+     */
+    order(candidates, context = {}) {
+        const sorted = sortById(candidates);
+        const ring = this.getRing(sorted.map(c => c.route));
+        const callRequest = context.callRequest || {};
+        const position = this.hash(String(callRequest.from || ''));
+
+        let start = ring.findIndex(point => point.position >= position);
+        if (start === -1) start = 0;
+
+        const byRoute = new Map(sorted.map(c => [c.route, c]));
+        const ordered = [];
+        for (let i = 0; i < ring.length && ordered.length < sorted.length; i++) {
+            const candidate = byRoute.get(ring[(start + i) % ring.length].route);
+            if (!ordered.includes(candidate)) ordered.push(candidate);
+        }
+        return ordered;
+    }
+}
+
+const STRATEGIES = {
+    'round-robin': RoundRobinStrategy,
+    'weighted-random': WeightedRandomStrategy,
+    'least-active-calls': LeastActiveCallsStrategy,
+    'consistent-hash': ConsistentHashStrategy
+};
+
+/**
+ * Create a load balancing strategy by name
+ * @param {string} name - Strategy name as used in config.routing.loadBalancingStrategy
+ * @param {Object} options - Strategy specific options
+ * @returns {Object} - Strategy instance
+ */
+function createStrategy(name, options = {}) {
+    const Strategy = STRATEGIES[name];
+    if (!Strategy) {
+        throw new Error(`Unknown load balancing strategy: ${name}`);
+    }
+    return new Strategy(options);
+}
+
+module.exports = {
+    RoundRobinStrategy,
+    WeightedRandomStrategy,
+    LeastActiveCallsStrategy,
+    ConsistentHashStrategy,
+    createStrategy
+};
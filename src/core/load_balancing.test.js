@@ -0,0 +1,52 @@
+const {
+    RoundRobinStrategy,
+    WeightedRandomStrategy,
+    LeastActiveCallsStrategy,
+    ConsistentHashStrategy,
+    createStrategy
+} = require('./load_balancing');
+
+const candidates = [
+    { route: 'route3', weight: 0.2 },
+    { route: 'route1', weight: 0.6 },
+    { route: 'route2', weight: 0.2 }
+];
+
+describe('load balancing strategies', () => {
+    test('round-robin selects every route in turn', () => {
+        const strategy = new RoundRobinStrategy();
+        const selected = [1, 2, 3, 4, 5, 6].map(() => strategy.order(candidates)[0].route);
+
+        expect(selected).toEqual(['route1', 'route2', 'route3', 'route1', 'route2', 'route3']);
+    });
+
+    test('weighted-random draws proportionally to weight from the injected random source', () => {
+        const draws = [0.5, 0.0];
+        const strategy = new WeightedRandomStrategy({ random: () => draws.shift() });
+
+        // 0.5 of total weight 1.0 falls in route1 (0 - 0.6); then route2 is first of the rest
+        expect(strategy.order(candidates).map(c => c.route)).toEqual(['route1', 'route2', 'route3']);
+    });
+
+    test('least-active-calls prefers idle routes and breaks ties by weight', () => {
+        const strategy = new LeastActiveCallsStrategy();
+        const networkState = { activeCallsPerRoute: { route1: 5, route2: 0, route3: 0 } };
+
+        expect(strategy.order(candidates, { networkState }).map(c => c.route))
+            .toEqual(['route2', 'route3', 'route1']);
+    });
+
+    test('consistent-hash keeps a caller on the same route', () => {
+        const strategy = new ConsistentHashStrategy();
+        const callRequest = { from: '+919876543210' };
+        const first = strategy.order(candidates, { callRequest });
+
+        expect(strategy.order([...candidates].reverse(), { callRequest })).toEqual(first);
+        expect(first).toHaveLength(candidates.length);
+    });
+
+    test('createStrategy rejects unknown names', () => {
+        expect(createStrategy('round-robin').name).toBe('round-robin');
+        expect(() => createStrategy('fastest')).toThrow('Unknown load balancing strategy');
+    });
+});
@@ -0,0 +1,203 @@
+/**
+ * Mobile Number Portability Database
+ * Resolves a destination number to the operator currently serving it: the
+ * operator it was ported to, or otherwise the holder of its number range
+ */
+
+const fs = require('fs');
+
+const UPDATE_ACTIONS = ['port', 'remove'];
+
+class NumberPortabilityDatabase {
+    /**
+     * @param {Object} options - Database options
+     * @param {Array} options.rangeHolders - Number ranges ({ prefix, operator }) and the
+     *                                       operators they were allocated to
+     */
+    constructor(options = {}) {
+        this.portedNumbers = new Map();
+        this.rangeHolders = new Map();
+        this.lastUpdated = null;
+
+        if (options.rangeHolders) this.loadRangeHolders(options.rangeHolders);
+    }
+
+    /**
+     * Strip a number down to its digits
+     * @param {string} number - Phone number
+     * @returns {string} - Digits only
+     */
+    normalizeNumber(number) {
+        return String(number || '').replace(/\D/g, '');
+    }
+
+    /**
+     * Validate and normalize a ported-number record
+     * @param {Object} record - Raw record ({ number, operator, routingNumber, portedAt })
+     * @returns {Object} - Normalized record
+     */
+    normalizeRecord(record) {
+        const number = this.normalizeNumber(record.number);
+        if (!number) throw new Error('Ported number record is missing a number');
+        if (!record.operator) throw new Error(`Ported number ${number} is missing an operator`);
+
+        const portedAt = record.portedAt ? new Date(record.portedAt).getTime() : null;
+        if (Number.isNaN(portedAt)) {
+            throw new Error(`Ported number ${number} has an invalid port date: ${record.portedAt}`);
+        }
+
+        return {
+            number,
+            operator: record.operator,
+            routingNumber: record.routingNumber || null,
+            portedAt
+        };
+    }
+
+    /**
+     * Replace the number range allocations used for numbers that were never ported
+     * @param {Array} ranges - Ranges ({ prefix, operator })
+     * @returns {Object} - Load summary
+     */
+    loadRangeHolders(ranges) {
+        // Build the new table first so lookups never see a partial load
+        const rangeHolders = new Map();
+        for (const range of ranges) {
+            const prefix = this.normalizeNumber(range.prefix);
+            if (!prefix) throw new Error('Number range is missing a prefix');
+            if (!range.operator) throw new Error(`Number range ${prefix} is missing an operator`);
+            rangeHolders.set(prefix, range.operator);
+        }
+
+        this.rangeHolders = rangeHolders;
+        return { ranges: rangeHolders.size };
+    }
+
+    /**
+     * Find the operator a number's range was allocated to, by longest prefix
+     * @param {string} number - Phone number
+     * @returns {string|null} - Range holder
+     */
+    findRangeHolder(number) {
+        const digits = this.normalizeNumber(number);
+        for (let length = digits.length; length > 0; length--) {
+            const operator = this.rangeHolders.get(digits.slice(0, length));
+            if (operator) return operator;
+        }
+        return null;
+    }
+
+    /**
+     * Parse CSV records (number,operator,routing_number,ported_at)
+     * @param {string} content - CSV content with a header line
+     * @returns {Array} - Raw records
+     */
+    parseCSV(content) {
+        const lines = content.split(/\r?\n/).filter(line => line.trim() && !line.startsWith('#'));
+        return lines.slice(1).map(line => {
+            const [number, operator, routingNumber, portedAt] = line.split(',').map(value => value.trim());
+            return { number, operator, routingNumber, portedAt };
+        });
+    }
+
+    /**
+     * Replace the database with a full snapshot of ported numbers
+     * @param {Array|string} records - Records, or CSV content
+     * @returns {Object} - Import summary
+     */
+    bulkImport(records) {
+        const rawRecords = typeof records === 'string' ? this.parseCSV(records) : records;
+
+        // Build the new table first so lookups never see a partial import
+        const portedNumbers = new Map();
+        for (const raw of rawRecords) {
+            const record = this.normalizeRecord(raw);
+            portedNumbers.set(record.number, record);
+        }
+
+        this.portedNumbers = portedNumbers;
+        this.lastUpdated = Date.now();
+        return { imported: portedNumbers.size, lastUpdated: this.lastUpdated };
+    }
+
+    /**
+     * Import a full snapshot from a CSV file
+     * @param {string} filePath - Path to the CSV file
+     * @returns {Promise<Object>} - Import summary
+     */
+    async importFile(filePath) {
+        const content = await fs.promises.readFile(filePath, 'utf8');
+        return this.bulkImport(content);
+    }
+
+    /**
+     * Apply incremental port-in / port-out changes. The whole batch is validated
+     * first, so an invalid update leaves the database unchanged.
+     * @param {Array} updates - Updates ({ action: 'port'|'remove', number, operator, routingNumber, portedAt })
+     * @returns {Object} - Update summary
+     */
+    applyUpdates(updates) {
+        const changes = updates.map(update => {
+            const action = update.action || 'port';
+            if (!UPDATE_ACTIONS.includes(action)) {
+                throw new Error(`Unknown number portability action: ${action}`);
+            }
+            if (action === 'port') return { action, record: this.normalizeRecord(update) };
+
+            const number = this.normalizeNumber(update.number);
+            if (!number) throw new Error('Number portability removal is missing a number');
+            return { action, number };
+        });
+
+        let ported = 0;
+        let removed = 0;
+
+        for (const change of changes) {
+            if (change.action === 'remove') {
+                // Number returned to its original range holder
+                if (this.portedNumbers.delete(change.number)) removed++;
+            } else {
+                this.portedNumbers.set(change.record.number, change.record);
+                ported++;
+            }
+        }
+
+        this.lastUpdated = Date.now();
+        return { ported, removed, total: this.portedNumbers.size };
+    }
+
+    /**
+     * Look up the current serving operator of a number
+     * @param {string} number - Destination number
+     * @returns {Object|null} - Serving operator ({ number, operator, routingNumber, portedAt, ported }),
+     *                          or null if the number is neither ported nor in a known range
+     */
+    lookup(number) {
+        const record = this.portedNumbers.get(this.normalizeNumber(number));
+        if (record) return { ...record, ported: true };
+
+        const operator = this.findRangeHolder(number);
+        if (!operator) return null;
+        return {
+            number: this.normalizeNumber(number),
+            operator,
+            routingNumber: null,
+            portedAt: null,
+            ported: false
+        };
+    }
+
+    /**
+     * Get database statistics
+     * @returns {Object} - Record and range counts and last update time
+     */
+    getStats() {
+        return {
+            portedNumbers: this.portedNumbers.size,
+            rangeHolders: this.rangeHolders.size,
+            lastUpdated: this.lastUpdated
+        };
+    }
+}
+
+module.exports = NumberPortabilityDatabase;
@@ -0,0 +1,61 @@
+const NumberPortabilityDatabase = require('./number_portability');
+
+function createDatabase() {
+    const database = new NumberPortabilityDatabase({
+        rangeHolders: [
+            { prefix: '9198', operator: 'operator-a' },
+            { prefix: '91987', operator: 'operator-b' }
+        ]
+    });
+    database.bulkImport('number,operator,routing_number,ported_at\n' +
+        '919876543210,operator-c,D123,2024-01-15\n');
+    return database;
+}
+
+describe('NumberPortabilityDatabase', () => {
+    test('resolves ported numbers to the operator they were ported to', () => {
+        expect(createDatabase().lookup('+91 98765 43210')).toEqual({
+            number: '919876543210',
+            operator: 'operator-c',
+            routingNumber: 'D123',
+            portedAt: Date.parse('2024-01-15'),
+            ported: true
+        });
+    });
+
+    test('resolves other numbers to the range holder with the longest prefix', () => {
+        const database = createDatabase();
+
+        expect(database.lookup('+919876500000')).toMatchObject({ operator: 'operator-b', ported: false });
+        expect(database.lookup('+919812345678')).toMatchObject({ operator: 'operator-a', ported: false });
+        expect(database.lookup('+441234567890')).toBeNull();
+    });
+
+    test('returns a number to its range holder when its port is removed', () => {
+        const database = createDatabase();
+        database.applyUpdates([{ action: 'remove', number: '+919876543210' }]);
+
+        expect(database.lookup('+919876543210')).toMatchObject({ operator: 'operator-b', ported: false });
+    });
+
+    test('rejects records with an invalid port date', () => {
+        const database = new NumberPortabilityDatabase();
+
+        expect(() => database.bulkImport([{ number: '919876543210', operator: 'operator-c', portedAt: 'yesterday' }]))
+            .toThrow('invalid port date');
+    });
+
+    test('leaves the database unchanged when any update in a batch is invalid', () => {
+        const database = createDatabase();
+
+        expect(() => database.applyUpdates([
+            { action: 'remove', number: '+919876543210' },
+            { action: 'port', number: '+919811111111', operator: 'operator-c' },
+            { action: 'port', number: '+919822222222' }
+        ])).toThrow('missing an operator');
+
+        expect(database.lookup('+919876543210').ported).toBe(true);
+        expect(database.lookup('+919811111111').ported).toBe(false);
+        expect(() => database.applyUpdates([{ action: 'transfer', number: '1' }])).toThrow('Unknown number portability action');
+    });
+});
@@ -0,0 +1,66 @@
+/**
+ * Protected Destinations
+ * Emergency and cyber-crime helpline numbers that must always be connected
+ */
+
+class ProtectedDestinations {
+    /**
+     * @param {Object} options - Protected destination options
+     * @param {Array} options.numbers - Protected short codes / numbers (digits)
+     * @param {string} options.countryCode - Country code that may prefix a protected number
+     */
+    constructor(options = {}) {
+        this.countryCode = options.countryCode || '';
+        this.numbers = new Set((options.numbers || []).map(number => this.normalize(number)));
+    }
+
+    /**
+     * Strip a number down to its digits
+     * @param {string} number - Dialled number
+     * @returns {string} - Digits only
+     */
+    normalize(number) {
+        return String(number || '').replace(/\D/g, '');
+    }
+
+    /**
+     * Add a protected number
+     * @param {string} number - Number to protect
+     */
+    add(number) {
+        this.numbers.add(this.normalize(number));
+    }
+
+    /**
+     * Remove a protected number
+     * @param {string} number - Number to unprotect
+     * @returns {boolean} - Whether the number was protected
+     */
+    remove(number) {
+        return this.numbers.delete(this.normalize(number));
+    }
+
+    /**
+     * List protected numbers
+     * @returns {Array} - Protected numbers
+     */
+    list() {
+        return Array.from(this.numbers);
+    }
+
+    /**
+     * Check whether a destination is protected, dialled nationally or with the country code
+     * @param {string} destination - Destination number
+     * @returns {boolean} - Whether the destination is protected
+     */
+    isProtected(destination) {
+        const digits = this.normalize(destination);
+        if (this.numbers.has(digits)) return true;
+
+        return Boolean(this.countryCode) &&
+            digits.startsWith(this.countryCode) &&
+            this.numbers.has(digits.slice(this.countryCode.length));
+    }
+}
+
+module.exports = ProtectedDestinations;
@@ -0,0 +1,20 @@
+const ProtectedDestinations = require('./protected_destinations');
+
+describe('ProtectedDestinations', () => {
+    const destinations = new ProtectedDestinations({ numbers: ['112', '1930'], countryCode: '91' });
+
+    test('recognizes protected numbers dialled nationally or with the country code', () => {
+        expect(destinations.isProtected('112')).toBe(true);
+        expect(destinations.isProtected('+91 1930')).toBe(true);
+        expect(destinations.isProtected('+919876543210')).toBe(false);
+    });
+
+    test('can add and remove protected numbers', () => {
+        const custom = new ProtectedDestinations({ numbers: [] });
+        custom.add('1098');
+
+        expect(custom.isProtected('1098')).toBe(true);
+        expect(custom.remove('1098')).toBe(true);
+        expect(custom.list()).toEqual([]);
+    });
+});
@@ -0,0 +1,248 @@
+/**
+ * Carrier Rate Deck Management
+ * Versioned per-carrier rate decks with longest-prefix lookup on E.164 numbers
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CSV_COLUMNS = {
+    prefix: 'prefix',
+    rate_per_minute: 'ratePerMinute',
+    connection_fee: 'connectionFee',
+    billing_increment: 'billingIncrement',
+    effective_from: 'effectiveFrom',
+    effective_to: 'effectiveTo',
+    operator: 'operator'
+};
+
+class RateDeckManager {
+    constructor() {
+        this.decks = new Map();
+        this.versionHistory = new Map();
+    }
+
+    /**
+     * Strip an E.164 number down to its digits
+     * @param {string} number - Phone number or prefix
+     * @returns {string} - Digits only
+     */
+    normalizeNumber(number) {
+        return String(number || '').replace(/\D/g, '');
+    }
+
+    /**
+     * Parse a date column, allowing it to be empty
+     * @param {string|number|Date} value - Date value
+     * @returns {number|null} - Epoch milliseconds
+     */
+    parseDate(value) {
+        if (value === undefined || value === null || value === '') return null;
+        const time = new Date(value).getTime();
+        if (Number.isNaN(time)) {
+            throw new Error(`Invalid date: ${value}`);
+        }
+        return time;
+    }
+
+    /**
+     * Validate and normalize a single rate entry
+     * @param {Object} raw - Raw entry
+     * @returns {Object} - Normalized rate entry
+     */
+    normalizeEntry(raw) {
+        const prefix = this.normalizeNumber(raw.prefix);
+        const ratePerMinute = Number(raw.ratePerMinute);
+        const connectionFee = Number(raw.connectionFee || 0);
+        const billingIncrement = Number(raw.billingIncrement || 60);
+
+        if (!prefix) throw new Error('Rate entry is missing a prefix');
+        if (!Number.isFinite(ratePerMinute) || ratePerMinute < 0) {
+            throw new Error(`Invalid rate for prefix ${prefix}`);
+        }
+        if (!Number.isFinite(connectionFee) || connectionFee < 0) {
+            throw new Error(`Invalid connection fee for prefix ${prefix}`);
+        }
+        if (!Number.isInteger(billingIncrement) || billingIncrement <= 0) {
+            throw new Error(`Invalid billing increment for prefix ${prefix}`);
+        }
+
+        return {
+            prefix,
+            ratePerMinute,
+            connectionFee,
+            billingIncrement,
+            effectiveFrom: this.parseDate(raw.effectiveFrom),
+            effectiveTo: this.parseDate(raw.effectiveTo),
+            // Operator-specific rates apply only when the serving operator is known
+            operator: raw.operator || null
+        };
+    }
+
+    /**
+     * Parse a CSV rate deck
+     * Expected header: prefix,rate_per_minute,connection_fee,billing_increment,effective_from,effective_to
+     * with an optional operator column
+     * @param {string} content - CSV content
+     * @returns {Array} - Raw entries
+     */
+    parseCSV(content) {
+        const lines = content.split(/\r?\n/).filter(line => line.trim() && !line.startsWith('#'));
+        if (!lines.length) return [];
+
+        const header = lines[0].split(',').map(column => column.trim().toLowerCase());
+        for (const column of header) {
+            if (!CSV_COLUMNS[column]) {
+                throw new Error(`Unknown rate deck column: ${column}`);
+            }
+        }
+
+        return lines.slice(1).map((line, index) => {
+            const values = line.split(',').map(value => value.trim());
+            if (values.length !== header.length) {
+                throw new Error(`Malformed rate deck line ${index + 2}`);
+            }
+            const entry = {};
+            header.forEach((column, i) => {
+                entry[CSV_COLUMNS[column]] = values[i];
+            });
+            return entry;
+        });
+    }
+
+    /**
+     * Parse a JSON rate deck (array of entries or { rates: [...] })
+     * @param {string|Object|Array} content - JSON content
+     * @returns {Array} - Raw entries
+     */
+    parseJSON(content) {
+        const parsed = typeof content === 'string' ? JSON.parse(content) : content;
+        const entries = Array.isArray(parsed) ? parsed : parsed.rates;
+        if (!Array.isArray(entries)) {
+            throw new Error('JSON rate deck must be an array or contain a rates array');
+        }
+        return entries;
+    }
+
+    /**
+     * Load a rate deck for a carrier, replacing the current deck atomically
+     * @param {string} carrier - Carrier identifier
+     * @param {string|Object|Array} content - Deck content
+     * @param {Object} options - Load options ({ format: 'csv'|'json', version })
+     * @returns {Object} - Loaded deck metadata
+     */
+    loadDeck(carrier, content, options = {}) {
+        const format = options.format || (typeof content === 'string' ? 'csv' : 'json');
+        const rawEntries = format === 'csv' ? this.parseCSV(content) : this.parseJSON(content);
+
+        // Build the complete deck before swapping it in so lookups never see a partial deck
+        const entries = new Map();
+        for (const raw of rawEntries) {
+            const entry = this.normalizeEntry(raw);
+            if (!entries.has(entry.prefix)) entries.set(entry.prefix, []);
+            entries.get(entry.prefix).push(entry);
+        }
+        for (const rates of entries.values()) {
+            rates.sort((a, b) => (b.effectiveFrom || 0) - (a.effectiveFrom || 0));
+        }
+
+        const current = this.decks.get(carrier);
+        const metadata = {
+            carrier,
+            version: options.version || (current ? current.version + 1 : 1),
+            entryCount: rawEntries.length,
+            loadedAt: Date.now()
+        };
+
+        this.decks.set(carrier, { ...metadata, entries });
+        if (!this.versionHistory.has(carrier)) this.versionHistory.set(carrier, []);
+        this.versionHistory.get(carrier).push(metadata);
+
+        return metadata;
+    }
+
+    /**
+     * Import a rate deck file, detecting the format from its extension
+     * @param {string} carrier - Carrier identifier
+     * @param {string} filePath - Path to a .csv or .json deck
+     * @param {Object} options - Load options ({ version })
+     * @returns {Promise<Object>} - Loaded deck metadata
+     */
+    async importFile(carrier, filePath, options = {}) {
+        const content = await fs.promises.readFile(filePath, 'utf8');
+        const format = path.extname(filePath).toLowerCase() === '.json' ? 'json' : 'csv';
+        return this.loadDeck(carrier, content, { ...options, format });
+    }
+
+    /**
+     * Check whether a carrier has a deck loaded
+     * @param {string} carrier - Carrier identifier
+     * @returns {boolean} - Whether a deck is loaded
+     */
+    hasDeck(carrier) {
+        return this.decks.has(carrier);
+    }
+
+    /**
+     * Get metadata for the active deck and its previous versions
+     * @param {string} carrier - Carrier identifier
+     * @returns {Object|null} - Deck version information
+     */
+    getDeckInfo(carrier) {
+        const deck = this.decks.get(carrier);
+        if (!deck) return null;
+
+        return {
+            carrier,
+            version: deck.version,
+            entryCount: deck.entryCount,
+            loadedAt: deck.loadedAt,
+            history: this.versionHistory.get(carrier)
+        };
+    }
+
+    /**
+     * Find the rate for a destination using longest-prefix match
+     * @param {string} carrier - Carrier identifier
+     * @param {string} destination - E.164 destination number
+     * @param {number} at - Time the rate must be effective at
+     * @param {string} servingOperator - Operator currently serving the number, if known
+     * @returns {Object|null} - Matching rate entry
+     */
+    findRate(carrier, destination, at = Date.now(), servingOperator = null) {
+        const deck = this.decks.get(carrier);
+        if (!deck) return null;
+
+        const isEffective = entry =>
+            (entry.effectiveFrom === null || entry.effectiveFrom <= at) &&
+            (entry.effectiveTo === null || entry.effectiveTo > at);
+
+        const digits = this.normalizeNumber(destination);
+        for (let length = digits.length; length > 0; length--) {
+            const rates = deck.entries.get(digits.slice(0, length));
+            if (!rates) continue;
+
+            const rate =
+                (servingOperator && rates.find(entry => entry.operator === servingOperator && isEffective(entry))) ||
+                rates.find(entry => entry.operator === null && isEffective(entry));
+            if (rate) {
+                return { ...rate, carrier, deckVersion: deck.version };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Calculate the billed cost of a call
+     * @param {Object} rate - Rate entry
+     * @param {number} durationSeconds - Call duration in seconds
+     * @returns {number} - Call cost
+     */
+    calculateCallCost(rate, durationSeconds) {
+        const billedSeconds = Math.ceil(durationSeconds / rate.billingIncrement) * rate.billingIncrement;
+        return rate.connectionFee + (billedSeconds / 60) * rate.ratePerMinute;
+    }
+}
+
+module.exports = RateDeckManager;
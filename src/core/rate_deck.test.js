@@ -0,0 +1,47 @@
+const RateDeckManager = require('./rate_deck');
+
+describe('RateDeckManager', () => {
+    test('finds the longest matching prefix', () => {
+        const decks = new RateDeckManager();
+        decks.loadDeck('carrier-a', 'prefix,rate_per_minute\n91,0.50\n9198,0.30\n');
+
+        expect(decks.findRate('carrier-a', '+919876543210').ratePerMinute).toBe(0.30);
+        expect(decks.findRate('carrier-a', '+911123456789').ratePerMinute).toBe(0.50);
+        expect(decks.findRate('carrier-a', '+441234567890')).toBeNull();
+    });
+
+    test('applies rates only within their effective period', () => {
+        const decks = new RateDeckManager();
+        decks.loadDeck('carrier-a', [
+            { prefix: '91', ratePerMinute: 0.50, effectiveTo: '2030-01-01' },
+            { prefix: '91', ratePerMinute: 0.40, effectiveFrom: '2030-01-01' }
+        ]);
+
+        expect(decks.findRate('carrier-a', '91987', Date.parse('2029-06-01')).ratePerMinute).toBe(0.50);
+        expect(decks.findRate('carrier-a', '91987', Date.parse('2030-06-01')).ratePerMinute).toBe(0.40);
+    });
+
+    test('prefers a rate for the serving operator', () => {
+        const decks = new RateDeckManager();
+        decks.loadDeck('carrier-a', 'prefix,rate_per_minute,operator\n91,0.50,\n91,0.20,jio\n');
+
+        expect(decks.findRate('carrier-a', '91987', Date.now(), 'jio').ratePerMinute).toBe(0.20);
+        expect(decks.findRate('carrier-a', '91987', Date.now(), 'airtel').ratePerMinute).toBe(0.50);
+    });
+
+    test('keeps the current deck when a new version is invalid', () => {
+        const decks = new RateDeckManager();
+        decks.loadDeck('carrier-a', 'prefix,rate_per_minute\n91,0.50\n');
+
+        expect(() => decks.loadDeck('carrier-a', 'prefix,rate_per_minute\n91,-1\n')).toThrow('Invalid rate');
+        expect(decks.getDeckInfo('carrier-a').version).toBe(1);
+        expect(decks.findRate('carrier-a', '91987').ratePerMinute).toBe(0.50);
+    });
+
+    test('bills in whole increments plus the connection fee', () => {
+        const decks = new RateDeckManager();
+        const rate = { ratePerMinute: 0.60, connectionFee: 0.10, billingIncrement: 30 };
+
+        expect(decks.calculateCallCost(rate, 31)).toBeCloseTo(0.70);
+    });
+});
@@ -0,0 +1,161 @@
+/**
+ * Route Registry Implementation
+ * Maintains the trunks/carriers available to the routing algorithms
+ */
+
+const ROUTE_STATUSES = ['active', 'draining', 'disabled'];
+
+class RouteRegistry {
+    /**
+     * @param {Array} routes - Initial route definitions
+     */
+    constructor(routes = []) {
+        this.routes = new Map();
+        for (const route of routes) {
+            this.addRoute(route);
+        }
+    }
+
+    /**
+     * Validate and normalize a route definition
+     * @param {Object} route - Route definition
+     * @returns {Object} - Normalized route
+     */
+    normalizeRoute(route) {
+        if (!route || !route.id) {
+            throw new Error('Route id is required');
+        }
+
+        const status = route.status || 'active';
+        if (!ROUTE_STATUSES.includes(status)) {
+            throw new Error(`Invalid route status: ${status}`);
+        }
+
+        // Infinity is how an unlimited capacity is stored, so updates must accept it
+        if (route.capacity !== undefined && route.capacity !== Infinity &&
+            (!Number.isInteger(route.capacity) || route.capacity < 0)) {
+            throw new Error(`Invalid capacity for route ${route.id}`);
+        }
+
+        return {
+            ...route,
+            carrier: route.carrier || route.id,
+            capacity: route.capacity !== undefined ? route.capacity : Infinity,
+            // Empty coverage means the route can terminate any destination
+            destinations: route.destinations || [],
+            // Serving operators reachable over the route; empty means any operator
+            operators: route.operators || [],
+            status
+        };
+    }
+
+    /**
+     * Register a new route
+     * @param {Object} route - Route definition (id, carrier, capacity, destinations, status)
+     * @returns {Object} - Registered route
+     */
+    addRoute(route) {
+        if (route && this.routes.has(route.id)) {
+            throw new Error(`Route already registered: ${route.id}`);
+        }
+
+        const now = Date.now();
+        const registered = {
+            ...this.normalizeRoute(route),
+            createdAt: now,
+            updatedAt: now
+        };
+        this.routes.set(registered.id, registered);
+        return registered;
+    }
+
+    /**
+     * Update an existing route
+     * @param {string} routeId - Route identifier
+     * @param {Object} changes - Fields to update
+     * @returns {Object} - Updated route
+     */
+    updateRoute(routeId, changes) {
+        const existing = this.routes.get(routeId);
+        if (!existing) {
+            throw new Error(`Route not found: ${routeId}`);
+        }
+
+        const updated = {
+            ...this.normalizeRoute({ ...existing, ...changes, id: routeId }),
+            createdAt: existing.createdAt,
+            updatedAt: Date.now()
+        };
+        this.routes.set(routeId, updated);
+        return updated;
+    }
+
+    /**
+     * Remove a route from the registry
+     * @param {string} routeId - Route identifier
+     * @returns {boolean} - Whether the route existed
+     */
+    removeRoute(routeId) {
+        return this.routes.delete(routeId);
+    }
+
+    /**
+     * Get a single route
+     * @param {string} routeId - Route identifier
+     * @returns {Object|null} - Route definition
+     */
+    getRoute(routeId) {
+        return this.routes.get(routeId) || null;
+    }
+
+    /**
+     * List registered routes
+     * @param {Object} filter - Optional filter ({ status })
+     * @returns {Array} - Matching routes
+     */
+    listRoutes(filter = {}) {
+        const routes = Array.from(this.routes.values());
+        if (!filter.status) return routes;
+        return routes.filter(route => route.status === filter.status);
+    }
+
+    /**
+     * Check whether a route can take new calls
+     * @param {string} routeId - Route identifier
+     * @returns {boolean} - Whether the route is active
+     */
+    isRoutable(routeId) {
+        const route = this.routes.get(routeId);
+        return Boolean(route) && route.status === 'active';
+    }
+
+    /**
+     * Check whether a route covers a destination number
+     * @param {Object} route - Route definition
+     * @param {string} destination - Destination number
+     * @param {string} servingOperator - Operator currently serving the number, if known
+     * @returns {boolean} - Whether the destination is covered
+     */
+    coversDestination(route, destination, servingOperator) {
+        if (servingOperator && route.operators.length && !route.operators.includes(servingOperator)) {
+            return false;
+        }
+        if (!route.destinations.length || !destination) return true;
+        return route.destinations.some(prefix => destination.startsWith(prefix));
+    }
+
+    /**
+     * Get active routes able to terminate a destination
+     * @param {string} destination - Destination number
+     * @param {string} servingOperator - Operator currently serving the number, if known
+     * @returns {Array} - Routes accepting new calls for the destination
+     */
+    getRoutesForDestination(destination, servingOperator) {
+        return this.listRoutes({ status: 'active' })
+            .filter(route => this.coversDestination(route, destination, servingOperator));
+    }
+}
+
+RouteRegistry.ROUTE_STATUSES = ROUTE_STATUSES;
+
+module.exports = RouteRegistry;
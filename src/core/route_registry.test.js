@@ -0,0 +1,52 @@
+const RouteRegistry = require('./route_registry');
+
+describe('RouteRegistry', () => {
+    test('normalizes route definitions', () => {
+        const registry = new RouteRegistry([{ id: 'route1' }]);
+        const route = registry.getRoute('route1');
+
+        expect(route.carrier).toBe('route1');
+        expect(route.capacity).toBe(Infinity);
+        expect(route.status).toBe('active');
+    });
+
+    test('rejects duplicate and invalid routes', () => {
+        const registry = new RouteRegistry([{ id: 'route1' }]);
+
+        expect(() => registry.addRoute({ id: 'route1' })).toThrow('Route already registered');
+        expect(() => registry.addRoute({ id: 'route2', status: 'broken' })).toThrow('Invalid route status');
+        expect(() => registry.addRoute({ id: 'route3', capacity: -1 })).toThrow('Invalid capacity');
+    });
+
+    test('routes only active routes covering the destination', () => {
+        const registry = new RouteRegistry([
+            { id: 'india', destinations: ['+91'] },
+            { id: 'anywhere' },
+            { id: 'draining', status: 'draining' }
+        ]);
+
+        expect(registry.getRoutesForDestination('+919876543210').map(route => route.id))
+            .toEqual(['india', 'anywhere']);
+        expect(registry.getRoutesForDestination('+441234567890').map(route => route.id))
+            .toEqual(['anywhere']);
+        expect(registry.isRoutable('draining')).toBe(false);
+    });
+
+    test('limits routes to their serving operators when the operator is known', () => {
+        const registry = new RouteRegistry([{ id: 'jio-only', operators: ['jio'] }]);
+
+        expect(registry.getRoutesForDestination('+919876543210', 'jio')).toHaveLength(1);
+        expect(registry.getRoutesForDestination('+919876543210', 'airtel')).toHaveLength(0);
+    });
+
+    test('updates routes without losing their creation time', () => {
+        const registry = new RouteRegistry([{ id: 'route1' }]);
+        const { createdAt } = registry.getRoute('route1');
+
+        const updated = registry.updateRoute('route1', { status: 'disabled' });
+
+        expect(updated.status).toBe('disabled');
+        expect(updated.createdAt).toBe(createdAt);
+        expect(() => registry.updateRoute('missing', {})).toThrow('Route not found');
+    });
+});
@@ -0,0 +1,248 @@
+/**
+ * Routing Policy Engine
+ * Combines DCD route quality and LCR cost into a single decision,
+ * subject to configurable constraints, and explains every candidate.
+ */
+
+const DEFAULT_POLICY = {
+    qualityWeight: 0.6,
+    costWeight: 0.4,
+    maxCostPerMinute: null,
+    minReliability: null,
+    // [{ prefix, preferred: [carrier], excluded: [carrier] }]
+    carrierRules: []
+};
+
+class RoutingPolicyEngine {
+    /**
+     * @param {DynamicCallDistribution} dcd - Quality scoring and load balancing
+     * @param {LeastCostRouting} lcr - Route pricing
+     * @param {Object} defaultPolicy - Policy applied to every call
+     */
+    constructor(dcd, lcr, defaultPolicy = {}) {
+        this.dcd = dcd;
+        this.lcr = lcr;
+        this.defaultPolicy = { ...DEFAULT_POLICY, ...defaultPolicy };
+        this.customerPolicies = new Map();
+    }
+
+    /**
+     * Set the policy overrides for a customer
+     * @param {string} customerId - Customer identifier
+     * @param {Object} policy - Policy fields overriding the default policy
+     */
+    setCustomerPolicy(customerId, policy) {
+        this.customerPolicies.set(customerId, policy);
+    }
+
+    /**
+     * Remove a customer's policy overrides
+     * @param {string} customerId - Customer identifier
+     * @returns {boolean} - Whether a policy existed
+     */
+    removeCustomerPolicy(customerId) {
+        return this.customerPolicies.delete(customerId);
+    }
+
+    /**
+     * Resolve the effective policy for a call
+     * @param {Object} callRequest - Call request details
+     * @returns {Object} - Effective policy
+     */
+    getPolicy(callRequest) {
+        const customerPolicy = this.customerPolicies.get(callRequest.customerId) || {};
+        return {
+            ...this.defaultPolicy,
+            ...customerPolicy,
+            // Customer carrier rules take precedence over the defaults
+            carrierRules: [
+                ...(customerPolicy.carrierRules || []),
+                ...this.defaultPolicy.carrierRules
+            ]
+        };
+    }
+
+    /**
+     * Find the carrier rule with the longest prefix matching the destination
+     * @param {Array} carrierRules - Carrier rules
+     * @param {string} destination - Destination number
+     * @returns {Object} - Matching rule (empty when none match)
+     */
+    matchCarrierRule(carrierRules, destination) {
+        let match = null;
+        for (const rule of carrierRules) {
+            if (!String(destination || '').startsWith(rule.prefix)) continue;
+            if (!match || rule.prefix.length > match.prefix.length) match = rule;
+        }
+        return match || {};
+    }
+
+    /**
+     * Score every candidate route and choose one
+     * @param {Object} networkState - Current network state
+     * @param {Object} callRequest - Call request details
+     * @param {Object} options - Decision options
+     * @param {boolean} options.protectedCall - Ignore cost constraints and rank by reliability
+     * @returns {Promise<Object>} - Ranked eligible routes and the decision explanation
+     */
+    async decide(networkState, callRequest, options = {}) {
+        if (options.protectedCall) {
+            return this.decideMostReliable(networkState, callRequest);
+        }
+
+        const policy = this.getPolicy(callRequest);
+        const carrierRule = this.matchCarrierRule(policy.carrierRules, callRequest.to);
+        const preferred = carrierRule.preferred || [];
+        const excluded = carrierRule.excluded || [];
+
+        const qualityRanked = await this.dcd.scoreRoutes(networkState, callRequest);
+        const evaluated = [];
+
+        for (const candidate of qualityRanked) {
+            const route = this.lcr.routeRegistry.getRoute(candidate.route);
+            const carrier = route ? route.carrier : candidate.route;
+            const costs = await this.lcr.evaluateRoute(
+                candidate.route,
+                callRequest.to,
+                callRequest.servingOperator
+            );
+            const ratePerMinute = costs && costs.rate ? costs.rate.ratePerMinute : null;
+            const reasons = [];
+
+            if (excluded.includes(carrier)) reasons.push('CARRIER_EXCLUDED');
+            if (!costs) reasons.push('NO_RATE');
+            if (policy.maxCostPerMinute !== null && costs) {
+                if (ratePerMinute === null) reasons.push('RATE_UNKNOWN');
+                else if (ratePerMinute > policy.maxCostPerMinute) reasons.push('MAX_COST_EXCEEDED');
+            }
+            if (policy.minReliability !== null && candidate.metrics.reliability < policy.minReliability) {
+                reasons.push('BELOW_MIN_RELIABILITY');
+            }
+
+            evaluated.push({
+                ...candidate,
+                carrier,
+                costs,
+                quality: candidate.weight,
+                cost: costs ? costs.totalCost : null,
+                ratePerMinute,
+                preferred: preferred.includes(carrier),
+                reasons
+            });
+        }
+
+        const eligible = evaluated.filter(candidate => !candidate.reasons.length);
+
+        // Cheapest eligible route scores 1 on cost, others relative to it; unpriced routes score 0
+        const minCost = Math.min(...eligible.filter(candidate => candidate.cost !== null)
+            .map(candidate => candidate.cost));
+        for (const candidate of eligible) {
+            let costScore = 0;
+            if (candidate.cost !== null) costScore = candidate.cost > 0 ? minCost / candidate.cost : 1;
+            candidate.score = policy.qualityWeight * candidate.quality + policy.costWeight * costScore;
+            candidate.weight = candidate.score;
+        }
+
+        // The load balancing strategy picks among eligible routes ranked by score, once per
+        // call; preferred carriers go first
+        eligible.sort((a, b) => (b.score - a.score) || (a.route < b.route ? -1 : 1));
+        const ranked = eligible.length
+            ? this.dcd.strategy.order(eligible, { networkState, callRequest })
+            : [];
+        ranked.sort((a, b) => Number(b.preferred) - Number(a.preferred));
+
+        return {
+            selectedRoute: ranked.length ? ranked[0].route : null,
+            ranked,
+            explanation: this.explain(policy, evaluated, ranked)
+        };
+    }
+
+    /**
+     * Rank every route by observed reliability, for calls that must always connect
+     * @param {Object} networkState - Current network state
+     * @param {Object} callRequest - Call request details
+     * @returns {Promise<Object>} - Ranked routes and the decision explanation
+     */
+    async decideMostReliable(networkState, callRequest) {
+        const qualityRanked = await this.dcd.scoreRoutes(networkState, callRequest);
+        const evaluated = [];
+
+        for (const candidate of qualityRanked) {
+            const route = this.lcr.routeRegistry.getRoute(candidate.route);
+            const costs = await this.lcr.evaluateRoute(
+                candidate.route,
+                callRequest.to,
+                callRequest.servingOperator
+            );
+
+            evaluated.push({
+                ...candidate,
+                carrier: route ? route.carrier : candidate.route,
+                costs,
+                quality: candidate.weight,
+                cost: costs ? costs.totalCost : null,
+                ratePerMinute: costs && costs.rate ? costs.rate.ratePerMinute : null,
+                score: candidate.metrics.reliability,
+                preferred: false,
+                reasons: []
+            });
+        }
+
+        const ranked = [...evaluated].sort((a, b) =>
+            (b.metrics.reliability - a.metrics.reliability) || (b.quality - a.quality)
+        );
+
+        return {
+            selectedRoute: ranked.length ? ranked[0].route : null,
+            ranked,
+            explanation: {
+                ...this.explain({ mode: 'most-reliable' }, evaluated, ranked),
+                strategy: 'most-reliable'
+            }
+        };
+    }
+
+    /**
+     * Build a decision explanation listing every candidate
+     * @param {Object} policy - Effective policy
+     * @param {Array} evaluated - All evaluated candidates
+     * @param {Array} ranked - Eligible candidates in preference order
+     * @returns {Object} - Decision explanation
+     */
+    explain(policy, evaluated, ranked) {
+        return {
+            policy,
+            strategy: this.dcd.strategy.name,
+            candidates: evaluated.map(candidate => {
+                const rank = ranked.indexOf(candidate);
+                let status = 'rejected';
+                let reasons = candidate.reasons;
+
+                if (rank === 0) {
+                    status = 'selected';
+                    reasons = [candidate.preferred ? 'PREFERRED_CARRIER' : 'BEST_RANKED'];
+                } else if (rank > 0) {
+                    status = 'fallback';
+                    reasons = [`RANKED_${rank + 1}`];
+                }
+
+                return {
+                    route: candidate.route,
+                    carrier: candidate.carrier,
+                    quality: candidate.quality,
+                    cost: candidate.cost,
+                    ratePerMinute: candidate.ratePerMinute,
+                    reliability: candidate.metrics.reliability,
+                    score: candidate.score !== undefined ? candidate.score : null,
+                    preferred: candidate.preferred,
+                    rank: rank >= 0 ? rank + 1 : null,
+                    status,
+                    reasons
+                };
+            })
+        };
+    }
+}
+
+module.exports = RoutingPolicyEngine;
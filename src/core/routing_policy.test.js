@@ -0,0 +1,89 @@
+const RoutingPolicyEngine = require('./routing_policy');
+const DynamicCallDistribution = require('./dcd');
+const LeastCostRouting = require('./lcr');
+const RouteRegistry = require('./route_registry');
+const RateDeckManager = require('./rate_deck');
+const RouteHealthTracker = require('../monitoring/route_health');
+
+const callRequest = { from: '+911123456789', to: '+919876543210' };
+
+function createEngine(policy = {}, strategy = 'round-robin') {
+    const registry = new RouteRegistry([
+        { id: 'route1', carrier: 'carrier-a' },
+        { id: 'route2', carrier: 'carrier-b' },
+        { id: 'route3', carrier: 'carrier-c' },
+        { id: 'route4', carrier: 'carrier-d' }
+    ]);
+    const healthTracker = new RouteHealthTracker();
+    const rateDecks = new RateDeckManager();
+    rateDecks.loadDeck('carrier-a', 'prefix,rate_per_minute\n91,0.40\n');
+    rateDecks.loadDeck('carrier-b', 'prefix,rate_per_minute\n91,0.80\n');
+    rateDecks.loadDeck('carrier-c', 'prefix,rate_per_minute\n91,0.50\n');
+    rateDecks.loadDeck('carrier-d', 'prefix,rate_per_minute\n91,0.60\n');
+
+    const dcd = new DynamicCallDistribution(registry, { loadBalancingStrategy: strategy, healthTracker });
+    const lcr = new LeastCostRouting(registry, { rateDecks, healthTracker });
+    return new RoutingPolicyEngine(dcd, lcr, policy);
+}
+
+describe('RoutingPolicyEngine', () => {
+    test('round-robin selects every eligible route in turn', async () => {
+        const engine = createEngine();
+        const selected = [];
+        for (let i = 0; i < 8; i++) {
+            selected.push((await engine.decide({}, callRequest)).selectedRoute);
+        }
+
+        expect(selected).toEqual([
+            'route1', 'route2', 'route3', 'route4',
+            'route1', 'route2', 'route3', 'route4'
+        ]);
+    });
+
+    test('ranks fallbacks by combined quality and cost score', async () => {
+        const engine = createEngine();
+        const decision = await engine.decide({}, callRequest);
+
+        // Equal quality, so the cheapest routes follow the selected one
+        expect(decision.ranked.map(candidate => candidate.route))
+            .toEqual(['route1', 'route3', 'route4', 'route2']);
+        expect(decision.ranked[0].score).toBeCloseTo(decision.ranked[0].quality * 0.6 + 0.4);
+    });
+
+    test('rejects excluded carriers and routes above the maximum rate', async () => {
+        const engine = createEngine({
+            maxCostPerMinute: 0.55,
+            carrierRules: [{ prefix: '+91', excluded: ['carrier-a'] }]
+        });
+        const decision = await engine.decide({}, callRequest);
+        const statuses = Object.fromEntries(decision.explanation.candidates
+            .map(candidate => [candidate.route, candidate.reasons]));
+
+        expect(decision.selectedRoute).toBe('route3');
+        expect(statuses.route1).toEqual(['CARRIER_EXCLUDED']);
+        expect(statuses.route2).toEqual(['MAX_COST_EXCEEDED']);
+        expect(statuses.route4).toEqual(['MAX_COST_EXCEEDED']);
+    });
+
+    test('puts preferred carriers first', async () => {
+        const engine = createEngine({ carrierRules: [{ prefix: '+91', preferred: ['carrier-b'] }] });
+        const decision = await engine.decide({}, callRequest);
+
+        expect(decision.selectedRoute).toBe('route2');
+        expect(decision.explanation.candidates.find(c => c.route === 'route2').reasons)
+            .toEqual(['PREFERRED_CARRIER']);
+    });
+
+    test('protected calls rank by reliability without advancing the rotation', async () => {
+        const engine = createEngine();
+        engine.dcd.healthTracker.recordAttempt('route4', { success: true, latencyMs: 20 });
+        engine.dcd.healthTracker.recordAttempt('route2', { success: false });
+
+        const protectedDecision = await engine.decide({}, callRequest, { protectedCall: true });
+        const regular = await engine.decide({}, callRequest);
+
+        expect(protectedDecision.selectedRoute).toBe('route4');
+        expect(protectedDecision.ranked[3].route).toBe('route2');
+        expect(regular.selectedRoute).toBe('route1');
+    });
+});
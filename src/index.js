@@ -5,39 +5,96 @@
 
 const DynamicCallDistribution = require('./core/dcd');
 const LeastCostRouting = require('./core/lcr');
+const RouteRegistry = require('./core/route_registry');
+const RateDeckManager = require('./core/rate_deck');
+const CircuitBreaker = require('./core/circuit_breaker');
+const RoutingPolicyEngine = require('./core/routing_policy');
+const AdmissionControl = require('./core/admission_control');
+const CallSession = require('./core/call_session');
+const ProtectedDestinations = require('./core/protected_destinations');
+const IngressScreening = require('./core/ingress_screening');
+const NumberPortabilityDatabase = require('./core/number_portability');
 const STIRSHAKENAuth = require('./auth/stir_shaken');
+const NumberOwnershipRegistry = require('./auth/number_ownership');
 const MultiFactorAuth = require('./auth/mfa');
+const OfficialCallerRegistry = require('./auth/official_callers');
 const AnalyticsSystem = require('./monitoring/analytics');
 const AnomalyDetectionSystem = require('./monitoring/anomaly_detection');
+const RouteHealthTracker = require('./monitoring/route_health');
 const MetricsUtility = require('./utils/metrics');
 const EncryptionUtility = require('./utils/encryption');
 
 class CallRoutingFramework {
     constructor(config) {
+        this.routingConfig = config.routing;
+
         // Initialize core components
-        this.dcd = new DynamicCallDistribution();
-        this.lcr = new LeastCostRouting();
-        
-        // Initialize authentication components
-        this.stirShaken = new STIRSHAKENAuth();
-        this.mfa = new MultiFactorAuth();
-        
+        this.routeRegistry = new RouteRegistry(config.routing.routes);
+        this.numberPortability = new NumberPortabilityDatabase(config.routing.numberPortability);
+        this.routeHealth = new RouteHealthTracker(config.monitoring.routeHealth);
+        this.dcd = new DynamicCallDistribution(this.routeRegistry, {
+            loadBalancingStrategy: config.routing.loadBalancingStrategy,
+            healthTracker: this.routeHealth
+        });
+        this.rateDecks = new RateDeckManager();
+        this.lcr = new LeastCostRouting(this.routeRegistry, {
+            rateDecks: this.rateDecks,
+            referenceCallDuration: config.routing.referenceCallDurationSeconds,
+            healthTracker: this.routeHealth
+        });
+        this.routingPolicy = new RoutingPolicyEngine(this.dcd, this.lcr, config.routing.policy);
+        this.protectedDestinations = new ProtectedDestinations(config.routing.protectedDestinations);
+        this.ingressScreening = new IngressScreening({
+            countryCode: config.routing.protectedDestinations.countryCode,
+            ...config.routing.ingress
+        });
+        this.admission = new AdmissionControl({
+            maxConcurrentCalls: config.routing.maxConcurrentCalls,
+            reservedCapacity: config.routing.protectedDestinations.reservedCapacity,
+            ...config.routing.admission
+        });
+
         // Initialize monitoring components
         this.analytics = new AnalyticsSystem(config.analytics);
-        this.anomalyDetection = new AnomalyDetectionSystem();
+        this.anomalyDetection = new AnomalyDetectionSystem(config.monitoring.anomalyDetection);
+        
+        // Initialize authentication components
+        this.numberOwnership = new NumberOwnershipRegistry();
+        this.mfa = new MultiFactorAuth({
+            ...config.authentication.mfa,
+            lockout: { maxAttempts: config.security.maxLoginAttempts, ...config.security.lockout }
+        }, {
+            anomalyDetection: this.anomalyDetection
+        });
+        this.officialCallers = new OfficialCallerRegistry({
+            mfa: this.mfa,
+            countryCode: config.routing.protectedDestinations.countryCode,
+            ...config.authentication.officialCallers
+        });
+        this.stirShaken = new STIRSHAKENAuth(config.authentication.stirShaken, {
+            ownershipRegistry: this.numberOwnership,
+            officialCallers: this.officialCallers
+        });
         
         // Initialize utilities
         this.metrics = new MetricsUtility();
         this.encryption = new EncryptionUtility();
         
         // Initialize system state
-        this.activeRoutes = new Map();
         this.activeCalls = new Map();
+        // Ids of calls still being set up, so a retransmitted request cannot race the original
+        this.pendingCallIds = new Set();
+        this.callDetailRecords = [];
+        this.maxCallDetailRecords = config.monitoring.cdrRetentionCount || 10000;
+        this.circuitBreakers = new Map();
         this.systemMetrics = {
             startTime: Date.now(),
             totalCalls: 0,
             successfulCalls: 0,
-            failedCalls: 0
+            failedCalls: 0,
+            rejectedCalls: 0,
+            spoofedCliCalls: 0,
+            rejectionsByCode: {}
         };
     }
 
@@ -47,78 +104,445 @@ class CallRoutingFramework {
      * @returns {Promise<Object>} - Processed call result
      */
     async processCall(callRequest) {
+        const session = new CallSession(callRequest);
+        // Emergency and helpline calls are never blocked; every bypass is audited
+        const protectedCall = this.protectedDestinations.isProtected(callRequest.to);
+        const bypassed = [];
+        let admitted = false;
+        let claimedId = false;
+        let reservedRoute = null;
         try {
-            // Step 1: Verify call authenticity
+            if (this.activeCalls.has(callRequest.id) || this.pendingCallIds.has(callRequest.id)) {
+                const error = new Error(`Call ${callRequest.id} is already in progress`);
+                error.code = 'DUPLICATE_CALL_ID';
+                error.rejected = true;
+                throw error;
+            }
+            this.pendingCallIds.add(callRequest.id);
+            claimedId = true;
+
+            // Step 1: Admit the call against global capacity, trunk rate and priority
+            await this.admission.admit(callRequest, { bypassLimits: protectedCall });
+            admitted = true;
+            if (protectedCall) bypassed.push('ADMISSION_LIMITS');
+            session.transition('verifying');
+
+            // Step 2: Screen the caller ID against where the call entered the network, then
+            // verify call authenticity; the verstat policy decides whether the call is
+            // delivered, delivered with a label, or rejected
+            const screening = this.ingressScreening.screen(callRequest);
+            session.ingress = screening.ingress;
+            session.ingressAction = screening.action;
+            session.ingressRule = screening.rule;
+            if (screening.action === 'block' && protectedCall) {
+                bypassed.push(`INGRESS_SCREENING:${screening.rule}`);
+            } else if (screening.action === 'block') {
+                const error = new Error(`Caller ID ${callRequest.from} not allowed from ${screening.ingress} ingress`);
+                error.code = 'SPOOFED_CLI';
+                error.rule = screening.rule;
+                error.rejected = true;
+                throw error;
+            }
+
             const verificationResult = await this.stirShaken.processIncomingCall(callRequest);
-            if (!verificationResult.verified) {
-                throw new Error(`Call verification failed: ${verificationResult.errorCode}`);
+            let verificationAction = verificationResult.action;
+            if (screening.action !== 'allow' && verificationAction === 'deliver') {
+                verificationAction = 'label';
             }
+            if (verificationAction === 'reject' && protectedCall) {
+                bypassed.push(`VERIFICATION:${verificationResult.errorCode || verificationResult.verstat}`);
+                verificationAction = 'label';
+            } else if (verificationAction === 'reject') {
+                const code = verificationResult.errorCode || verificationResult.verstat;
+                const error = new Error(`Call verification failed: ${code}`);
+                error.code = code;
+                error.rejected = true;
+                throw error;
+            }
+            session.transition('routing', {
+                attestation: verificationResult.attestationLevel,
+                attestationDecision: verificationResult.attestationDecision || null,
+                verstat: verificationResult.verstat,
+                verificationAction,
+                verificationFlags: verificationResult.flags || []
+            });
 
-            // Step 2: Determine optimal route
+            // Step 3: Score candidate routes on quality and cost under the routing policy,
+            // using the operator that currently serves the (possibly ported) destination.
+            // The verstat travels with the routed call so the terminating side can display it.
+            const routedRequest = {
+                ...this.resolveServingOperator(callRequest),
+                verstat: session.verstat,
+                verificationAction
+            };
+            session.servingOperator = routedRequest.servingOperator;
             const networkState = await this.getNetworkState();
-            const optimalRoute = await this.dcd.getOptimalRoute(networkState, callRequest);
-            
-            // Step 3: Calculate route costs
-            const routeCosts = await this.lcr.findOptimalRoute([optimalRoute.selectedRoute]);
+            const routingDecision = await this.routingPolicy.decide(networkState, routedRequest, {
+                protectedCall
+            });
+            if (!routingDecision.ranked.length) {
+                const error = new Error('No route satisfies the routing policy');
+                error.code = 'NO_ELIGIBLE_ROUTE';
+                error.routingDecision = routingDecision.explanation;
+                throw error;
+            }
+
+            // Step 4: Set up the call, failing over to the next-best route; the connected
+            // route keeps the slot it reserved until the call ends
+            const { connectedRoute, attempts } = await this.connectWithFailover(
+                routingDecision.ranked,
+                routedRequest,
+                { protectedCall }
+            );
+            reservedRoute = connectedRoute.route;
+            // Registered as soon as a leg is up; a later failure undoes this and tears the leg down
+            this.activeCalls.set(callRequest.id, session);
 
-            // Step 4: Set up secure channel
+            // Step 5: Set up secure channel
             const sessionKey = this.encryption.generateSessionKey();
             const encryptedChannel = this.encryption.encryptWithSession(
                 sessionKey,
                 JSON.stringify({
                     callId: callRequest.id,
-                    route: optimalRoute.selectedRoute,
+                    route: connectedRoute.route,
                     timestamp: Date.now()
                 })
             );
 
-            // Step 5: Check for anomalies
+            // Step 6: Check for anomalies
             const callMetrics = {
                 callVolume: this.systemMetrics.totalCalls,
                 avgDuration: this.calculateAverageDuration(),
-                failureRate: this.calculateFailureRate()
+                failureRate: this.calculateFailureRate(),
+                spoofedCliRate: this.calculateSpoofedCliRate()
             };
             
             const anomalies = this.anomalyDetection.processCallMetrics(callMetrics);
-            if (anomalies.length > 0) {
-                const riskScore = this.anomalyDetection.calculateRiskScore(anomalies);
-                if (riskScore.level === 'high') {
-                    throw new Error('High-risk call detected');
-                }
+            const riskScore = this.anomalyDetection.calculateRiskScore(anomalies);
+            session.riskScore = riskScore.score;
+            session.anomalies = anomalies;
+            if (riskScore.level === 'high' && protectedCall) {
+                bypassed.push('ANOMALY_BLOCK');
+            } else if (riskScore.level === 'high') {
+                const error = new Error('High-risk call detected');
+                error.code = 'HIGH_RISK_CALL';
+                error.rejected = true;
+                throw error;
             }
 
-            // Step 6: Set up call monitoring
-            const callMonitoring = {
-                id: callRequest.id,
-                startTime: Date.now(),
-                route: optimalRoute.selectedRoute,
-                metrics: optimalRoute.metrics,
-                anomalies: anomalies
-            };
-            this.activeCalls.set(callRequest.id, callMonitoring);
+            // Step 7: Set up call monitoring
+            session.transition('ringing', {
+                route: connectedRoute.route,
+                metrics: connectedRoute.metrics,
+                costs: connectedRoute.costs,
+                attempts,
+                routingDecision: routingDecision.explanation,
+                protected: protectedCall
+            });
 
-            // Step 7: Log analytics
+            // Step 8: Log analytics
             await this.analytics.logCall({
                 callId: callRequest.id,
-                route: optimalRoute.selectedRoute,
+                status: session.state,
+                route: connectedRoute.route,
+                attempts,
                 verificationStatus: verificationResult.attestationLevel,
-                riskScore: anomalies.length > 0 ? riskScore.score : 0
+                verstat: session.verstat,
+                verificationFlags: session.verificationFlags,
+                ingress: session.ingress,
+                ingressAction: session.ingressAction,
+                ingressRule: session.ingressRule,
+                riskScore: riskScore.score
             });
+            if (protectedCall) {
+                await this.auditProtectedCall(session, bypassed);
+            }
 
             return {
                 success: true,
                 callId: callRequest.id,
-                route: optimalRoute.selectedRoute,
+                state: session.state,
+                route: connectedRoute.route,
+                attempts,
+                routingDecision: routingDecision.explanation,
                 encryptedChannel,
-                verificationStatus: verificationResult.attestationLevel
+                verificationStatus: verificationResult.attestationLevel,
+                attestationDecision: session.attestationDecision,
+                verstat: session.verstat,
+                verificationAction: session.verificationAction,
+                richCallData: verificationResult.richCallData || null,
+                verificationFlags: session.verificationFlags,
+                diversion: verificationResult.diversion || [],
+                ingressScreening: screening
             };
 
         } catch (error) {
-            this.systemMetrics.failedCalls++;
+            if (admitted) this.admission.release();
+            if (reservedRoute) {
+                this.activeCalls.delete(callRequest.id);
+                this.routeHealth.releaseCall(reservedRoute);
+                await this.releaseRoute(reservedRoute, callRequest);
+            }
+            if (error.attempts) session.attempts = error.attempts;
+            if (!session.isTerminal()) {
+                session.transition(error.rejected ? 'rejected' : 'failed', {
+                    disconnectCause: error.code || 'INTERNAL_ERROR'
+                });
+                await this.recordCallDetail(session);
+            }
+            if (protectedCall) {
+                await this.auditProtectedCall(session, bypassed, error);
+            }
             throw error;
+        } finally {
+            if (claimedId) this.pendingCallIds.delete(callRequest.id);
         }
     }
 
+    /**
+     * Resolve the destination's current serving operator through number portability
+     * @param {Object} callRequest - Call request details
+     * @returns {Object} - Call request with servingOperator and routingNumber
+     */
+    resolveServingOperator(callRequest) {
+        const resolved = this.numberPortability.lookup(callRequest.to);
+        if (!resolved) {
+            return { ...callRequest, servingOperator: callRequest.servingOperator || null };
+        }
+
+        return {
+            ...callRequest,
+            servingOperator: resolved.operator,
+            routingNumber: resolved.routingNumber
+        };
+    }
+
+    /**
+     * Write a protected destination call to the separate audit trail
+     * @param {CallSession} session - Call session
+     * @param {Array} bypassed - Checks that were bypassed for the call
+     * @param {Error} error - Failure, if the call could not be connected
+     * @returns {Promise<void>}
+     */
+    async auditProtectedCall(session, bypassed, error = null) {
+        await this.analytics.logProtectedCall({
+            callId: session.id,
+            source: session.from,
+            destination: session.to,
+            state: session.state,
+            route: session.route,
+            attestation: session.attestation,
+            riskScore: session.riskScore,
+            bypassed,
+            attempts: session.attempts,
+            error: error ? error.code || error.message : null
+        });
+    }
+
+    /**
+     * Mark a ringing call as answered
+     * @param {string} callId - Call identifier
+     * @returns {Object} - Call state
+     */
+    answerCall(callId) {
+        const session = this.activeCalls.get(callId);
+        if (!session) {
+            throw new Error('Call not found');
+        }
+
+        session.transition('answered');
+        return {
+            callId,
+            state: session.state,
+            answerTime: session.getTimestamp('answered')
+        };
+    }
+
+    /**
+     * Build the CDR for a finished call, record it and update the derived counters
+     * @param {CallSession} session - Finished call session
+     * @returns {Promise<Object>} - Call detail record
+     */
+    async recordCallDetail(session) {
+        const cdr = session.toCDR();
+        const rate = session.costs && session.costs.rate;
+        cdr.cost = rate ? this.rateDecks.calculateCallCost(rate, cdr.billableDuration) : null;
+
+        this.callDetailRecords.push(cdr);
+        if (this.callDetailRecords.length > this.maxCallDetailRecords) {
+            this.callDetailRecords.shift();
+        }
+
+        this.systemMetrics.totalCalls++;
+        if (cdr.status === 'successful') this.systemMetrics.successfulCalls++;
+        if (cdr.status === 'failed') this.systemMetrics.failedCalls++;
+        if (cdr.ingressAction === 'flag' || cdr.ingressAction === 'block') {
+            this.systemMetrics.spoofedCliCalls++;
+        }
+        if (cdr.status === 'rejected') {
+            this.systemMetrics.rejectedCalls++;
+            this.systemMetrics.rejectionsByCode[cdr.disconnectCause] =
+                (this.systemMetrics.rejectionsByCode[cdr.disconnectCause] || 0) + 1;
+        }
+
+        await this.analytics.logCall(cdr);
+        return cdr;
+    }
+
+    /**
+     * Try ranked routes in order until one connects, up to routing.maxRetries retries
+     * @param {Array} rankedRoutes - Priced route candidates in preference order
+     * @param {Object} callRequest - Call request details
+     * @param {Object} options - Failover options
+     * @param {boolean} options.protectedCall - Try every route and ignore route capacity
+     * @returns {Promise<Object>} - Connected route and the attempts made
+     */
+    async connectWithFailover(rankedRoutes, callRequest, options = {}) {
+        const maxAttempts = options.protectedCall
+            ? rankedRoutes.length
+            : this.routingConfig.maxRetries + 1;
+        const attempts = [];
+        let tried = 0;
+
+        for (const candidate of rankedRoutes) {
+            if (tried >= maxAttempts) break;
+
+            const attempt = {
+                route: candidate.route,
+                attempt: attempts.length + 1,
+                startedAt: Date.now()
+            };
+            attempts.push(attempt);
+
+            const breaker = this.getCircuitBreaker(candidate.route);
+            if (!breaker.canAttempt()) {
+                attempt.outcome = 'skipped';
+                attempt.reason = 'CIRCUIT_OPEN';
+                continue;
+            }
+
+            const route = this.routeRegistry.getRoute(candidate.route);
+            if (!options.protectedCall &&
+                !this.admission.hasRouteCapacity(route, this.routeHealth.getActiveCalls(candidate.route))) {
+                attempt.outcome = 'skipped';
+                attempt.reason = 'ROUTE_CAPACITY_EXCEEDED';
+                continue;
+            }
+            // Take the slot before the first await, so concurrent calls cannot all pass the check
+            this.routeHealth.recordCallStart(candidate.route);
+
+            tried++;
+            try {
+                await this.withTimeout(
+                    this.establishRoute(candidate.route, callRequest),
+                    this.routingConfig.timeoutMs
+                );
+                breaker.recordSuccess();
+                attempt.outcome = 'connected';
+                attempt.durationMs = Date.now() - attempt.startedAt;
+                this.routeHealth.recordAttempt(candidate.route, {
+                    success: true,
+                    latencyMs: attempt.durationMs
+                });
+
+                return { connectedRoute: candidate, attempts };
+            } catch (error) {
+                this.routeHealth.releaseCall(candidate.route);
+                breaker.recordFailure();
+                attempt.outcome = 'failed';
+                attempt.reason = error.code || error.message;
+                attempt.durationMs = Date.now() - attempt.startedAt;
+                this.routeHealth.recordAttempt(candidate.route, {
+                    success: false,
+                    reason: attempt.reason
+                });
+            }
+        }
+
+        const error = new Error('All route attempts failed');
+        error.code = 'ALL_ROUTES_FAILED';
+        if (attempts.length && attempts.every(attempt => attempt.reason === 'ROUTE_CAPACITY_EXCEEDED')) {
+            error.message = 'All candidate routes are at capacity';
+            error.code = 'ROUTE_CAPACITY_EXCEEDED';
+            error.rejected = true;
+        }
+        error.attempts = attempts;
+        throw error;
+    }
+
+    /**
+     * Set up the call leg on a route
+     * @param {string} routeId - Route identifier
+     * @param {Object} callRequest - Call request details
+     * @returns {Promise<Object>} - Setup result
+     */
+    async establishRoute(routeId, callRequest) {
+        // In production, this would signal the carrier trunk and wait for progress
+        // For prototype, setup always succeeds
+        return { routeId, callId: callRequest.id };
+    }
+
+    /**
+     * Tear down a call leg set up by establishRoute
+     * @param {string} routeId - Route identifier
+     * @param {Object} callRequest - Call request details
+     * @returns {Promise<void>}
+     */
+    async releaseRoute(routeId, callRequest) {
+        // In production, this would send a BYE/release on the carrier trunk
+        // For prototype, there is nothing to tear down
+    }
+
+    /**
+     * Get health snapshots explaining how routes are currently weighted
+     * @param {string} routeId - Optional route identifier; all routes when omitted
+     * @returns {Object|Array} - Health snapshot(s) with registry and circuit breaker state
+     */
+    getRouteHealth(routeId) {
+        const describe = (id) => {
+            const route = this.routeRegistry.getRoute(id);
+            return {
+                ...this.routeHealth.getSnapshot(id),
+                status: route ? route.status : 'unregistered',
+                load: this.dcd.getCurrentLoad(id),
+                circuitBreaker: this.getCircuitBreaker(id).getStatus()
+            };
+        };
+
+        if (routeId) return describe(routeId);
+        return this.routeRegistry.listRoutes().map(route => describe(route.id));
+    }
+
+    /**
+     * Reject a promise that does not settle within the timeout
+     * @param {Promise} promise - Operation to wait for
+     * @param {number} timeoutMs - Timeout in milliseconds
+     * @returns {Promise} - Operation result
+     */
+    withTimeout(promise, timeoutMs) {
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                const error = new Error(`Route setup timed out after ${timeoutMs}ms`);
+                error.code = 'ROUTE_TIMEOUT';
+                reject(error);
+            }, timeoutMs);
+        });
+        return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+    }
+
+    /**
+     * Get (or create) the circuit breaker guarding a route
+     * @param {string} routeId - Route identifier
+     * @returns {CircuitBreaker} - Route circuit breaker
+     */
+    getCircuitBreaker(routeId) {
+        if (!this.circuitBreakers.has(routeId)) {
+            this.circuitBreakers.set(routeId, new CircuitBreaker(this.routingConfig.circuitBreaker));
+        }
+        return this.circuitBreakers.get(routeId);
+    }
+
     /**
      * Get current network state
      * @returns {Promise<Object>} - Network state information
@@ -127,12 +551,63 @@ class CallRoutingFramework {
         // In production, this would query actual network metrics
         // For prototype, returning simulated state
         return {
-            activeRoutes: Array.from(this.activeRoutes.keys()),
+            activeRoutes: this.routeRegistry.listRoutes({ status: 'active' }).map(route => route.id),
+            activeCallsPerRoute: this.getActiveCallsPerRoute(),
             networkLoad: Math.random(),
             timestamp: Date.now()
         };
     }
 
+    /**
+     * Load or replace a carrier rate deck without restarting
+     * @param {string} carrier - Carrier identifier
+     * @param {string|Array|Object} content - CSV or JSON rate deck
+     * @param {Object} options - Load options ({ format, version })
+     * @returns {Object} - Loaded deck metadata
+     */
+    loadRateDeck(carrier, content, options = {}) {
+        return this.rateDecks.loadDeck(carrier, content, options);
+    }
+
+    /**
+     * Check whether a calling number belongs to a government or law-enforcement agency
+     * @param {string} number - Calling number
+     * @returns {Object} - Lookup result ({ number, registered, status, agency, validUntil })
+     */
+    lookupOfficialCaller(number) {
+        return this.officialCallers.lookup(number);
+    }
+
+    /**
+     * Set routing policy overrides for a customer
+     * @param {string} customerId - Customer identifier
+     * @param {Object} policy - Constraints such as maxCostPerMinute, minReliability, carrierRules
+     */
+    setCustomerRoutingPolicy(customerId, policy) {
+        this.routingPolicy.setCustomerPolicy(customerId, policy);
+    }
+
+    /**
+     * Count active calls on each route
+     * @returns {Object} - Active call count keyed by route identifier
+     */
+    getActiveCallsPerRoute() {
+        const counts = {};
+        for (const call of this.activeCalls.values()) {
+            counts[call.route] = (counts[call.route] || 0) + 1;
+        }
+        return counts;
+    }
+
+    /**
+     * Switch the load balancing strategy at runtime
+     * @param {string} strategyName - One of round-robin, weighted-random,
+     *                                least-active-calls, consistent-hash
+     */
+    setLoadBalancingStrategy(strategyName) {
+        this.dcd.setLoadBalancingStrategy(strategyName);
+    }
+
     /**
      * Calculate average call duration
      * @returns {number} - Average duration in seconds
@@ -158,34 +633,35 @@ class CallRoutingFramework {
         return (this.systemMetrics.failedCalls / this.systemMetrics.totalCalls) * 100;
     }
 
+    /**
+     * Calculate the share of calls whose caller ID failed ingress screening
+     * @returns {number} - Flagged or blocked caller ID percentage
+     */
+    calculateSpoofedCliRate() {
+        if (this.systemMetrics.totalCalls === 0) return 0;
+        return (this.systemMetrics.spoofedCliCalls / this.systemMetrics.totalCalls) * 100;
+    }
+
     /**
      * End active call
      * @param {string} callId - Call identifier
-     * @returns {Promise<Object>} - Call summary
+     * @param {string} disconnectCause - Reason the call was released
+     * @returns {Promise<Object>} - Call detail record
      */
-    async endCall(callId) {
-        const call = this.activeCalls.get(callId);
-        if (!call) {
+    async endCall(callId, disconnectCause = 'NORMAL_CLEARING') {
+        const session = this.activeCalls.get(callId);
+        if (!session) {
             throw new Error('Call not found');
         }
 
-        const duration = (Date.now() - call.startTime) / 1000;
+        session.transition('ended', { disconnectCause });
         this.activeCalls.delete(callId);
-
-        await this.analytics.logCall({
-            callId,
-            duration,
-            status: 'completed',
-            route: call.route,
-            metrics: call.metrics
+        this.routeHealth.recordCallEnd(session.route, {
+            answered: session.getTimestamp('answered') !== null
         });
+        this.admission.release();
 
-        return {
-            callId,
-            duration,
-            route: call.route,
-            metrics: call.metrics
-        };
+        return this.recordCallDetail(session);
     }
 
     /**
@@ -193,20 +669,28 @@ class CallRoutingFramework {
      * @returns {Promise<Object>} - Health report
      */
     async generateHealthReport() {
-        const report = await this.analytics.generateHealthReport();
-        const anomalies = this.anomalyDetection.processCallMetrics({
-            callVolume: this.systemMetrics.totalCalls,
-            avgDuration: this.calculateAverageDuration(),
-            failureRate: this.calculateFailureRate()
-        });
+        const routeIds = this.routeRegistry.listRoutes().map(route => route.id);
+        const report = await this.analytics.generateHealthReport(routeIds);
+        const anomalies = [
+            ...this.anomalyDetection.processCallMetrics({
+                callVolume: this.systemMetrics.totalCalls,
+                avgDuration: this.calculateAverageDuration(),
+                failureRate: this.calculateFailureRate(),
+                spoofedCliRate: this.calculateSpoofedCliRate()
+            }),
+            // Repeated MFA lockouts of one user or source IP
+            ...this.anomalyDetection.detectBruteForce()
+        ];
 
         return {
             ...report,
             currentState: {
                 activeCalls: this.activeCalls.size,
-                activeRoutes: this.activeRoutes.size,
+                activeRoutes: this.routeRegistry.listRoutes({ status: 'active' }).length,
+                admission: this.admission.getStatus(),
                 systemMetrics: this.systemMetrics,
-                anomalies
+                anomalies,
+                riskScore: this.anomalyDetection.calculateRiskScore(anomalies)
             },
             timestamp: Date.now()
         };
@@ -0,0 +1,286 @@
+const CallRoutingFramework = require('./index');
+const config = require('../config/system');
+
+const callRequest = { id: 'call-1', from: '+911123456789', to: '+919876543210' };
+
+function createFramework(routing = {}) {
+    const framework = new CallRoutingFramework({ ...config, routing: { ...config.routing, ...routing } });
+    jest.spyOn(framework.analytics, 'logCall').mockResolvedValue();
+    jest.spyOn(framework.analytics, 'logProtectedCall').mockResolvedValue();
+    return framework;
+}
+
+function routeActiveCalls(framework) {
+    return framework.routeRegistry.listRoutes()
+        .reduce((sum, route) => sum + framework.routeHealth.getActiveCalls(route.id), 0);
+}
+
+describe('CallRoutingFramework call lifecycle', () => {
+    test('registers a connected call with its route', async () => {
+        const framework = createFramework();
+
+        const result = await framework.processCall(callRequest);
+
+        expect(result.state).toBe('ringing');
+        expect(framework.activeCalls.has('call-1')).toBe(true);
+        expect(framework.routeHealth.getActiveCalls(result.route)).toBe(1);
+    });
+
+    test('releases the call and its route when a late step fails', async () => {
+        const framework = createFramework();
+        framework.analytics.logCall.mockRejectedValueOnce(new Error('Analytics unavailable'));
+
+        await expect(framework.processCall(callRequest)).rejects.toThrow('Analytics unavailable');
+
+        expect(framework.activeCalls.size).toBe(0);
+        expect(routeActiveCalls(framework)).toBe(0);
+        expect(framework.admission.activeCalls).toBe(0);
+        expect(framework.systemMetrics.failedCalls).toBe(1);
+    });
+
+    test('tears down the connected leg when a late step fails', async () => {
+        const framework = createFramework();
+        const releaseRoute = jest.spyOn(framework, 'releaseRoute');
+        let registered = false;
+        framework.analytics.logCall.mockImplementationOnce(async () => {
+            registered = framework.activeCalls.has('call-1');
+            throw new Error('Analytics unavailable');
+        });
+
+        await expect(framework.processCall(callRequest)).rejects.toThrow('Analytics unavailable');
+
+        expect(registered).toBe(true);
+        expect(releaseRoute).toHaveBeenCalledTimes(1);
+        expect(releaseRoute).toHaveBeenCalledWith(expect.any(String), callRequest);
+        expect(framework.activeCalls.size).toBe(0);
+    });
+
+    test('rejects a call whose id is already active', async () => {
+        const framework = createFramework();
+        const first = await framework.processCall(callRequest);
+
+        await expect(framework.processCall(callRequest)).rejects.toMatchObject({
+            code: 'DUPLICATE_CALL_ID',
+            rejected: true
+        });
+
+        expect(framework.activeCalls.get('call-1').route).toBe(first.route);
+        expect(routeActiveCalls(framework)).toBe(1);
+        expect(framework.admission.activeCalls).toBe(1);
+    });
+
+    test('rejects a duplicate id that arrives while the first call is still being set up', async () => {
+        const framework = createFramework();
+
+        const results = await Promise.allSettled([
+            framework.processCall(callRequest),
+            framework.processCall(callRequest)
+        ]);
+
+        expect(results[0].status).toBe('fulfilled');
+        expect(results[1].reason.code).toBe('DUPLICATE_CALL_ID');
+        expect(framework.activeCalls.size).toBe(1);
+        expect(routeActiveCalls(framework)).toBe(1);
+    });
+
+    test('derives counters from the records of ended calls', async () => {
+        const framework = createFramework();
+        await framework.processCall(callRequest);
+        framework.answerCall('call-1');
+
+        const cdr = await framework.endCall('call-1');
+
+        expect(cdr.status).toBe('successful');
+        expect(framework.activeCalls.size).toBe(0);
+        expect(routeActiveCalls(framework)).toBe(0);
+        expect(framework.systemMetrics.successfulCalls).toBe(1);
+    });
+});
+
+describe('CallRoutingFramework failover', () => {
+    test('connects on the next ranked route when setup on the first one fails', async () => {
+        const framework = createFramework();
+        jest.spyOn(framework, 'establishRoute').mockRejectedValueOnce(new Error('Trunk busy'));
+
+        const result = await framework.processCall(callRequest);
+
+        expect(result.attempts).toEqual([
+            expect.objectContaining({ outcome: 'failed', reason: 'Trunk busy' }),
+            expect.objectContaining({ outcome: 'connected', route: result.route })
+        ]);
+        expect(result.attempts[0].route).not.toBe(result.route);
+    });
+
+    test('moves on when route setup exceeds timeoutMs', async () => {
+        const framework = createFramework({ timeoutMs: 20 });
+        jest.spyOn(framework, 'establishRoute').mockReturnValueOnce(new Promise(() => {}));
+
+        const result = await framework.processCall(callRequest);
+
+        expect(result.attempts.map(attempt => attempt.reason || attempt.outcome)).toEqual(['ROUTE_TIMEOUT', 'connected']);
+    });
+
+    test('stops after maxRetries + 1 setup attempts', async () => {
+        const framework = createFramework({ maxRetries: 1 });
+        const establishRoute = jest.spyOn(framework, 'establishRoute').mockRejectedValue(new Error('Trunk busy'));
+
+        await expect(framework.processCall(callRequest)).rejects.toMatchObject({
+            code: 'ALL_ROUTES_FAILED',
+            attempts: [expect.objectContaining({ outcome: 'failed' }), expect.objectContaining({ outcome: 'failed' })]
+        });
+        expect(establishRoute).toHaveBeenCalledTimes(2);
+    });
+
+    test('skips routes with an open circuit or no free capacity without counting them as tries', async () => {
+        const framework = createFramework({ maxRetries: 0 });
+        const establishRoute = jest.spyOn(framework, 'establishRoute');
+        const routeIds = framework.routeRegistry.listRoutes().map(route => route.id);
+        const [full, ...open] = routeIds.slice(0, -1);
+        const usable = routeIds[routeIds.length - 1];
+        framework.routeRegistry.updateRoute(full, { capacity: 1 });
+        framework.routeHealth.recordCallStart(full);
+        for (const id of open) {
+            for (let i = 0; i < config.routing.circuitBreaker.failureThreshold; i++) {
+                framework.getCircuitBreaker(id).recordFailure();
+            }
+        }
+
+        const result = await framework.processCall(callRequest);
+
+        expect(result.route).toBe(usable);
+        expect(establishRoute).toHaveBeenCalledTimes(1);
+        for (const attempt of result.attempts.filter(candidate => candidate.route !== usable)) {
+            expect(attempt).toMatchObject({
+                outcome: 'skipped',
+                reason: attempt.route === full ? 'ROUTE_CAPACITY_EXCEEDED' : 'CIRCUIT_OPEN'
+            });
+        }
+        expect(result.attempts).toHaveLength(routeIds.length);
+    });
+});
+
+describe('CallRoutingFramework route capacity', () => {
+    test('does not oversubscribe a route when calls are set up concurrently', async () => {
+        const framework = createFramework();
+        for (const route of framework.routeRegistry.listRoutes()) {
+            framework.routeRegistry.updateRoute(route.id, { capacity: 1 });
+        }
+        // Setup takes a while, so every call reaches the capacity check before any connects
+        jest.spyOn(framework, 'establishRoute')
+            .mockImplementation(routeId => new Promise(resolve => setTimeout(() => resolve({ routeId }), 10)));
+        const routeCount = framework.routeRegistry.listRoutes().length;
+
+        const results = await Promise.allSettled(Array.from({ length: routeCount + 2 }, (_, index) =>
+            framework.processCall({ ...callRequest, id: `call-${index}` })
+        ));
+
+        const connected = results.filter(result => result.status === 'fulfilled');
+        expect(connected).toHaveLength(routeCount);
+        expect(new Set(connected.map(result => result.value.route)).size).toBe(routeCount);
+        expect(results.filter(result => result.status === 'rejected').map(result => result.reason.code))
+            .toEqual(['ROUTE_CAPACITY_EXCEEDED', 'ROUTE_CAPACITY_EXCEEDED']);
+        expect(routeActiveCalls(framework)).toBe(routeCount);
+    });
+
+    test('gives back the slot of a route whose setup failed', async () => {
+        const framework = createFramework();
+        jest.spyOn(framework, 'establishRoute').mockRejectedValueOnce(new Error('Trunk busy'));
+
+        const result = await framework.processCall(callRequest);
+
+        expect(result.attempts.map(attempt => attempt.outcome)).toEqual(['failed', 'connected']);
+        expect(framework.routeHealth.getActiveCalls(result.attempts[0].route)).toBe(0);
+        expect(routeActiveCalls(framework)).toBe(1);
+    });
+});
+
+describe('CallRoutingFramework call verification', () => {
+    test('labels a flagged PASSporT and records the flags in the call log and CDR', async () => {
+        const framework = createFramework();
+        jest.spyOn(framework.stirShaken, 'verifyIncomingCall').mockResolvedValue({
+            verified: true,
+            attestationLevel: 'A',
+            attestationDecision: 'accept',
+            errorCode: null,
+            flags: ['PASSPORT_REPLAYED']
+        });
+
+        const result = await framework.processCall(callRequest);
+        const cdr = await framework.endCall('call-1');
+
+        expect(result).toMatchObject({
+            verstat: 'TN-Validation-Passed-A',
+            verificationAction: 'label',
+            verificationFlags: ['PASSPORT_REPLAYED']
+        });
+        expect(framework.analytics.logCall).toHaveBeenCalledWith(expect.objectContaining({
+            status: 'ringing',
+            verificationFlags: ['PASSPORT_REPLAYED']
+        }));
+        expect(cdr.verificationFlags).toEqual(['PASSPORT_REPLAYED']);
+    });
+});
+
+describe('CallRoutingFramework ingress screening', () => {
+    test('blocks a domestic CLI from an international gateway even when the request claims domestic ingress', async () => {
+        const framework = createFramework();
+        framework.ingressScreening.setTrunkType('igw-1', 'international');
+
+        await expect(framework.processCall({ ...callRequest, trunkId: 'igw-1', ingress: 'domestic' }))
+            .rejects.toMatchObject({ code: 'SPOOFED_CLI', rule: 'DOMESTIC_CLI_ON_INTERNATIONAL_INGRESS' });
+        expect(framework.activeCalls.size).toBe(0);
+    });
+});
+
+describe('CallRoutingFramework protected destinations', () => {
+    test('connects helpline calls that ingress screening would block, and audits the bypass', async () => {
+        const framework = createFramework();
+        framework.ingressScreening.setTrunkType('igw-1', 'international');
+
+        const result = await framework.processCall({
+            id: 'call-2',
+            from: '+911123456789',
+            to: '1930',
+            trunkId: 'igw-1'
+        });
+
+        expect(result.success).toBe(true);
+        expect(framework.analytics.logProtectedCall).toHaveBeenCalledWith(expect.objectContaining({
+            callId: 'call-2',
+            bypassed: expect.arrayContaining(['INGRESS_SCREENING:DOMESTIC_CLI_ON_INTERNATIONAL_INGRESS'])
+        }));
+    });
+});
+
+describe('CallRoutingFramework number portability', () => {
+    test('routes numbers that were never ported by their range holder', () => {
+        const framework = createFramework();
+        framework.numberPortability.loadRangeHolders([{ prefix: '9198', operator: 'operator-a' }]);
+
+        expect(framework.resolveServingOperator(callRequest).servingOperator).toBe('operator-a');
+    });
+});
+
+describe('CallRoutingFramework health report', () => {
+    test('reports repeated MFA lockouts as brute-force anomalies', async () => {
+        const framework = createFramework();
+        jest.spyOn(framework.analytics, 'generateHealthReport').mockResolvedValue({});
+        const threshold = config.monitoring.anomalyDetection.bruteForceThreshold;
+        for (let i = 0; i < threshold; i++) {
+            framework.mfa.unlock({ userId: 'alice' }, 'admin-1');
+            for (let attempt = 0; attempt < config.security.maxLoginAttempts; attempt++) {
+                framework.mfa.recordLoginAttempt({ userId: 'alice' }, false);
+            }
+        }
+
+        const { currentState } = await framework.generateHealthReport();
+
+        expect(currentState.anomalies).toContainEqual(expect.objectContaining({
+            type: 'bruteForce',
+            scope: 'user',
+            subject: 'alice',
+            lockouts: threshold
+        }));
+        expect(currentState.riskScore.anomalyCount).toBeGreaterThan(0);
+    });
+});
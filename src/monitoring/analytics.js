@@ -14,7 +14,8 @@ class AnalyticsSystem {
         this.indices = {
             calls: 'calls',
             metrics: 'call_metrics',
-            alerts: 'alerts'
+            alerts: 'alerts',
+            protectedCalls: 'protected_call_audit'
         };
     }
 
@@ -34,7 +35,33 @@ class AnalyticsSystem {
                         destination: { type: 'keyword' },
                         duration: { type: 'float' },
                         status: { type: 'keyword' },
+                        finalState: { type: 'keyword' },
+                        startTime: { type: 'date' },
+                        setupTime: { type: 'float' },
+                        answerTime: { type: 'date' },
+                        endTime: { type: 'date' },
+                        billableDuration: { type: 'float' },
+                        cost: { type: 'float' },
+                        attestation: { type: 'keyword' },
+                        attestationDecision: { type: 'keyword' },
+                        verstat: { type: 'keyword' },
+                        verificationAction: { type: 'keyword' },
+                        ingress: { type: 'keyword' },
+                        ingressAction: { type: 'keyword' },
+                        ingressRule: { type: 'keyword' },
+                        riskScore: { type: 'float' },
+                        disconnectCause: { type: 'keyword' },
                         route: { type: 'keyword' },
+                        attempts: {
+                            type: 'nested',
+                            properties: {
+                                route: { type: 'keyword' },
+                                attempt: { type: 'integer' },
+                                outcome: { type: 'keyword' },
+                                reason: { type: 'keyword' },
+                                durationMs: { type: 'float' }
+                            }
+                        },
                         verificationStatus: { type: 'keyword' }
                     }
                 }
@@ -54,6 +81,38 @@ class AnalyticsSystem {
                 }
             }
         });
+
+        await this.client.indices.create({
+            index: this.indices.protectedCalls,
+            body: {
+                mappings: {
+                    properties: {
+                        timestamp: { type: 'date' },
+                        callId: { type: 'keyword' },
+                        source: { type: 'keyword' },
+                        destination: { type: 'keyword' },
+                        state: { type: 'keyword' },
+                        route: { type: 'keyword' },
+                        bypassed: { type: 'keyword' },
+                        error: { type: 'keyword' }
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Log a call to a protected (emergency/helpline) destination to its own audit index
+     * @param {Object} auditEntry - Protected call audit information
+     */
+    async logProtectedCall(auditEntry) {
+        await this.client.index({
+            index: this.indices.protectedCalls,
+            body: {
+                timestamp: new Date(),
+                ...auditEntry
+            }
+        });
     }
 
     /**
@@ -145,9 +204,10 @@ class AnalyticsSystem {
 
     /**
      * Generate system health report
+     * @param {Array} routeIds - Routes to include in the report
      * @returns {Promise<Object>} - System health metrics
      */
-    async generateHealthReport() {
+    async generateHealthReport(routeIds = []) {
         const timeRanges = ['1h', '24h', '7d'];
         const metrics = {};
 
@@ -155,7 +215,7 @@ class AnalyticsSystem {
             metrics[range] = {
                 successRate: await this.calculateSuccessRate(range),
                 routeMetrics: await Promise.all(
-                    ['route1', 'route2', 'route3'].map(
+                    routeIds.map(
                         route => this.getRouteMetrics(route, range)
                     )
                 )
@@ -4,14 +4,67 @@
  */
 
 class AnomalyDetectionSystem {
-    constructor() {
+    /**
+     * @param {Object} config - Anomaly detection configuration (config.monitoring.anomalyDetection)
+     * @param {number} config.bruteForceThreshold - Lockouts of one user or IP that indicate brute force
+     * @param {number} config.bruteForceWindowMs - Period lockouts are counted over
+     */
+    constructor(config = {}) {
         this.baselineMetrics = new Map();
         this.anomalyThresholds = {
             callVolume: 0.3,    // 30% deviation from baseline
             duration: 0.25,     // 25% deviation from baseline
             failureRate: 0.2,   // 20% deviation from baseline
-            latency: 0.15      // 15% deviation from baseline
+            latency: 0.15,      // 15% deviation from baseline
+            spoofedCliRate: 0.2 // 20% deviation from baseline
         };
+        this.securityEvents = [];
+        this.maxSecurityEvents = 10000;
+        this.bruteForceThreshold = config.bruteForceThreshold || 3;
+        this.bruteForceWindowMs = config.bruteForceWindowMs || 3600000;
+    }
+
+    /**
+     * Record an authentication security event, such as an MFA lockout
+     * @param {Object} event - Event ({ type, scope, userId, ip, timestamp })
+     */
+    recordSecurityEvent(event) {
+        this.securityEvents.push({ ...event, timestamp: event.timestamp || Date.now() });
+        if (this.securityEvents.length > this.maxSecurityEvents) {
+            this.securityEvents.shift();
+        }
+    }
+
+    /**
+     * Detect likely brute-force attempts: repeated lockouts of one user, or of one
+     * source IP (which also catches one address trying many accounts)
+     * @param {number} windowMs - Period to look back over
+     * @returns {Array} - Detected anomalies
+     */
+    detectBruteForce(windowMs = this.bruteForceWindowMs) {
+        const since = Date.now() - windowMs;
+        const counts = new Map();
+        for (const event of this.securityEvents) {
+            if (event.type !== 'lockout' || event.timestamp < since) continue;
+            const subject = event.scope === 'ip' ? event.ip : event.userId;
+            const key = `${event.scope}:${subject}`;
+            const entry = counts.get(key) || { scope: event.scope, subject, lockouts: 0 };
+            entry.lockouts++;
+            counts.set(key, entry);
+        }
+
+        return Array.from(counts.values())
+            .filter(entry => entry.lockouts >= this.bruteForceThreshold)
+            .map(entry => ({
+                type: 'bruteForce',
+                isAnomaly: true,
+                scope: entry.scope,
+                subject: entry.subject,
+                lockouts: entry.lockouts,
+                deviation: entry.lockouts / this.bruteForceThreshold,
+                threshold: this.bruteForceThreshold,
+                timestamp: Date.now()
+            }));
     }
 
     /**
@@ -97,6 +150,17 @@ class AnomalyDetectionSystem {
             }
         }
 
+        // Check caller IDs failing ingress screening (e.g. +91 CLIs from international gateways)
+        if (metrics.spoofedCliRate) {
+            const spoofingAnomaly = this.detectAnomaly('spoofedCliRate', metrics.spoofedCliRate);
+            if (spoofingAnomaly.isAnomaly) {
+                anomalies.push({
+                    type: 'spoofedCliRate',
+                    ...spoofingAnomaly
+                });
+            }
+        }
+
         return anomalies;
     }
 
@@ -114,7 +178,9 @@ class AnomalyDetectionSystem {
         const weights = {
             callVolume: 0.3,
             duration: 0.2,
-            failureRate: 0.5
+            failureRate: 0.5,
+            spoofedCliRate: 0.5,
+            bruteForce: 0.5
         };
 
         let totalScore = 0;
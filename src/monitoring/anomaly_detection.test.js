@@ -0,0 +1,36 @@
+const AnomalyDetectionSystem = require('./anomaly_detection');
+
+function lockout(scope, subject, timestamp) {
+    return { type: 'lockout', scope, userId: scope === 'user' ? subject : null, ip: scope === 'ip' ? subject : null, timestamp };
+}
+
+describe('AnomalyDetectionSystem brute-force detection', () => {
+    test('reports users and addresses locked out the configured number of times', () => {
+        const detection = new AnomalyDetectionSystem({ bruteForceThreshold: 2 });
+        const now = Date.now();
+        detection.recordSecurityEvent(lockout('user', 'alice', now));
+        detection.recordSecurityEvent(lockout('user', 'alice', now));
+        detection.recordSecurityEvent(lockout('user', 'bob', now));
+        detection.recordSecurityEvent(lockout('ip', '198.51.100.7', now));
+        detection.recordSecurityEvent(lockout('ip', '198.51.100.7', now));
+
+        expect(detection.detectBruteForce().map(anomaly => [anomaly.scope, anomaly.subject, anomaly.lockouts]))
+            .toEqual([['user', 'alice', 2], ['ip', '198.51.100.7', 2]]);
+    });
+
+    test('only counts lockouts inside the configured window', () => {
+        const detection = new AnomalyDetectionSystem({ bruteForceThreshold: 2, bruteForceWindowMs: 60000 });
+        const now = Date.now();
+        detection.recordSecurityEvent(lockout('user', 'alice', now - 120000));
+        detection.recordSecurityEvent(lockout('user', 'alice', now));
+
+        expect(detection.detectBruteForce()).toEqual([]);
+    });
+
+    test('weighs brute-force anomalies into the risk score', () => {
+        const detection = new AnomalyDetectionSystem({ bruteForceThreshold: 1 });
+        detection.recordSecurityEvent(lockout('user', 'alice', Date.now()));
+
+        expect(detection.calculateRiskScore(detection.detectBruteForce())).toMatchObject({ score: 0.5, level: 'medium' });
+    });
+});
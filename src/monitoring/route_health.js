@@ -0,0 +1,187 @@
+/**
+ * Route Health Tracker
+ * Learns per-route latency, load and reliability from real call outcomes
+ * using exponentially decayed moving averages
+ */
+
+class RouteHealthTracker {
+    /**
+     * @param {Object} options - Tracker options
+     * @param {number} options.decayFactor - Weight of the newest sample (0-1)
+     * @param {number} options.defaultLatencyMs - Latency assumed before any sample
+     * @param {number} options.defaultReliability - Reliability assumed before any sample
+     */
+    constructor(options = {}) {
+        this.decayFactor = options.decayFactor !== undefined ? options.decayFactor : 0.2;
+        this.defaultLatencyMs = options.defaultLatencyMs !== undefined ? options.defaultLatencyMs : 50;
+        this.defaultReliability = options.defaultReliability !== undefined ? options.defaultReliability : 0.95;
+        this.routes = new Map();
+    }
+
+    /**
+     * Get (or create) the health record for a route
+     * @param {string} routeId - Route identifier
+     * @returns {Object} - Mutable health record
+     */
+    getRecord(routeId) {
+        if (!this.routes.has(routeId)) {
+            this.routes.set(routeId, {
+                setupLatency: null,
+                setupSuccessRatio: null,
+                answerRatio: null,
+                activeCalls: 0,
+                totalAttempts: 0,
+                failedAttempts: 0,
+                completedCalls: 0,
+                lastFailureReason: null,
+                lastFailureAt: null,
+                lastUpdated: null
+            });
+        }
+        return this.routes.get(routeId);
+    }
+
+    /**
+     * Fold a sample into a decayed moving average
+     * @param {number|null} average - Current average
+     * @param {number} sample - New sample
+     * @returns {number} - Updated average
+     */
+    decay(average, sample) {
+        if (average === null) return sample;
+        return this.decayFactor * sample + (1 - this.decayFactor) * average;
+    }
+
+    /**
+     * Record the outcome of a route setup attempt
+     * @param {string} routeId - Route identifier
+     * @param {Object} outcome - Attempt outcome ({ success, latencyMs, reason })
+     */
+    recordAttempt(routeId, outcome) {
+        const record = this.getRecord(routeId);
+        record.totalAttempts++;
+        record.setupSuccessRatio = this.decay(record.setupSuccessRatio, outcome.success ? 1 : 0);
+
+        if (outcome.success) {
+            if (typeof outcome.latencyMs === 'number') {
+                record.setupLatency = this.decay(record.setupLatency, outcome.latencyMs);
+            }
+        } else {
+            record.failedAttempts++;
+            record.lastFailureReason = outcome.reason || null;
+            record.lastFailureAt = Date.now();
+        }
+        record.lastUpdated = Date.now();
+    }
+
+    /**
+     * Record a call being carried by a route
+     * @param {string} routeId - Route identifier
+     */
+    recordCallStart(routeId) {
+        const record = this.getRecord(routeId);
+        record.activeCalls++;
+        record.lastUpdated = Date.now();
+    }
+
+    /**
+     * Give back a route slot whose call never got going, e.g. a failed setup attempt.
+     * Unlike recordCallEnd, nothing is counted as a completed call.
+     * @param {string} routeId - Route identifier
+     */
+    releaseCall(routeId) {
+        const record = this.getRecord(routeId);
+        record.activeCalls = Math.max(0, record.activeCalls - 1);
+        record.lastUpdated = Date.now();
+    }
+
+    /**
+     * Record a call released from a route
+     * @param {string} routeId - Route identifier
+     * @param {Object} outcome - Call outcome ({ answered })
+     */
+    recordCallEnd(routeId, outcome = {}) {
+        const record = this.getRecord(routeId);
+        record.activeCalls = Math.max(0, record.activeCalls - 1);
+        record.completedCalls++;
+        record.answerRatio = this.decay(record.answerRatio, outcome.answered ? 1 : 0);
+        record.lastUpdated = Date.now();
+    }
+
+    /**
+     * Get the decayed average setup latency
+     * @param {string} routeId - Route identifier
+     * @returns {number} - Latency in milliseconds
+     */
+    getLatency(routeId) {
+        const record = this.routes.get(routeId);
+        return record && record.setupLatency !== null ? record.setupLatency : this.defaultLatencyMs;
+    }
+
+    /**
+     * Get the number of calls currently on a route
+     * @param {string} routeId - Route identifier
+     * @returns {number} - Active calls
+     */
+    getActiveCalls(routeId) {
+        const record = this.routes.get(routeId);
+        return record ? record.activeCalls : 0;
+    }
+
+    /**
+     * Get route load relative to its capacity
+     * @param {string} routeId - Route identifier
+     * @param {number} capacity - Route capacity
+     * @returns {number} - Load (0-1)
+     */
+    getLoad(routeId, capacity) {
+        if (!capacity || !Number.isFinite(capacity)) return 0;
+        return Math.min(1, this.getActiveCalls(routeId) / capacity);
+    }
+
+    /**
+     * Get route reliability from setup success and answer ratios
+     * @param {string} routeId - Route identifier
+     * @returns {number} - Reliability (0-1)
+     */
+    getReliability(routeId) {
+        const record = this.routes.get(routeId);
+        if (!record || record.setupSuccessRatio === null) return this.defaultReliability;
+
+        const answerRatio = record.answerRatio !== null ? record.answerRatio : 1;
+        return record.setupSuccessRatio * answerRatio;
+    }
+
+    /**
+     * Get a health snapshot for a route
+     * @param {string} routeId - Route identifier
+     * @returns {Object} - Health snapshot
+     */
+    getSnapshot(routeId) {
+        const record = this.getRecord(routeId);
+        return {
+            routeId,
+            latency: this.getLatency(routeId),
+            reliability: this.getReliability(routeId),
+            activeCalls: record.activeCalls,
+            answerRatio: record.answerRatio,
+            failureRatio: record.setupSuccessRatio !== null ? 1 - record.setupSuccessRatio : null,
+            totalAttempts: record.totalAttempts,
+            failedAttempts: record.failedAttempts,
+            completedCalls: record.completedCalls,
+            lastFailureReason: record.lastFailureReason,
+            lastFailureAt: record.lastFailureAt,
+            lastUpdated: record.lastUpdated
+        };
+    }
+
+    /**
+     * Get health snapshots for every tracked route
+     * @returns {Array} - Health snapshots
+     */
+    getAllSnapshots() {
+        return Array.from(this.routes.keys()).map(routeId => this.getSnapshot(routeId));
+    }
+}
+
+module.exports = RouteHealthTracker;
@@ -0,0 +1,55 @@
+const RouteHealthTracker = require('./route_health');
+
+describe('RouteHealthTracker', () => {
+    test('assumes defaults until a route has samples', () => {
+        const tracker = new RouteHealthTracker({ defaultLatencyMs: 40, defaultReliability: 0.9 });
+
+        expect(tracker.getLatency('route1')).toBe(40);
+        expect(tracker.getReliability('route1')).toBe(0.9);
+    });
+
+    test('keeps zero-valued options instead of falling back to defaults', () => {
+        const tracker = new RouteHealthTracker({ decayFactor: 0, defaultReliability: 0 });
+        expect(tracker.getReliability('route1')).toBe(0);
+
+        tracker.recordAttempt('route1', { success: true, latencyMs: 100 });
+        tracker.recordAttempt('route1', { success: true, latencyMs: 50 });
+
+        // A zero decay factor ignores every sample after the first
+        expect(tracker.getLatency('route1')).toBe(100);
+    });
+
+    test('folds setup latency into a decayed average', () => {
+        const tracker = new RouteHealthTracker({ decayFactor: 0.5 });
+        tracker.recordAttempt('route1', { success: true, latencyMs: 100 });
+        tracker.recordAttempt('route1', { success: true, latencyMs: 50 });
+
+        expect(tracker.getLatency('route1')).toBe(75);
+    });
+
+    test('derives reliability from setup failures and unanswered calls', () => {
+        const tracker = new RouteHealthTracker({ decayFactor: 0.5 });
+        tracker.recordAttempt('route1', { success: true, latencyMs: 20 });
+        tracker.recordAttempt('route1', { success: false, reason: 'TIMEOUT' });
+        tracker.recordCallStart('route1');
+        tracker.recordCallEnd('route1', { answered: false });
+
+        // Setup success 0.5, answer ratio 0
+        expect(tracker.getReliability('route1')).toBe(0);
+        expect(tracker.getSnapshot('route1')).toMatchObject({
+            failedAttempts: 1,
+            lastFailureReason: 'TIMEOUT',
+            activeCalls: 0,
+            completedCalls: 1
+        });
+    });
+
+    test('reports load relative to route capacity', () => {
+        const tracker = new RouteHealthTracker();
+        tracker.recordCallStart('route1');
+        tracker.recordCallStart('route1');
+
+        expect(tracker.getLoad('route1', 4)).toBe(0.5);
+        expect(tracker.getLoad('route1', Infinity)).toBe(0);
+    });
+});
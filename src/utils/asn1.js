@@ -0,0 +1,310 @@
+/**
+ * Minimal ASN.1 DER Utility
+ * Just enough DER parsing to read X.509 extensions that Node's crypto
+ * module does not expose (e.g. the STIR TNAuthList extension), and enough
+ * DER encoding to build certificates and CRLs for the development STI-CA
+ */
+
+const TAG_CLASSES = ['universal', 'application', 'context', 'private'];
+
+/**
+ * Parse a single DER element
+ * @param {Buffer} buffer - DER encoded data
+ * @param {number} offset - Offset of the element
+ * @returns {Object} - Parsed element ({ tagClass, tagNumber, constructed, value, children, end })
+ */
+function parse(buffer, offset = 0) {
+    if (offset + 2 > buffer.length) {
+        throw new Error('Truncated DER element');
+    }
+
+    const tag = buffer[offset];
+    const tagClass = TAG_CLASSES[tag >> 6];
+    const constructed = Boolean(tag & 0x20);
+    const tagNumber = tag & 0x1f;
+    if (tagNumber === 0x1f) {
+        throw new Error('High tag numbers are not supported');
+    }
+
+    let length = buffer[offset + 1];
+    let headerLength = 2;
+    if (length & 0x80) {
+        const lengthBytes = length & 0x7f;
+        if (!lengthBytes || lengthBytes > 4) {
+            throw new Error('Unsupported DER length encoding');
+        }
+        length = 0;
+        for (let i = 0; i < lengthBytes; i++) {
+            length = length * 256 + buffer[offset + 2 + i];
+        }
+        headerLength += lengthBytes;
+    }
+
+    const start = offset + headerLength;
+    const end = start + length;
+    if (end > buffer.length) {
+        throw new Error('DER element length exceeds buffer');
+    }
+
+    const element = {
+        tagClass,
+        tagNumber,
+        constructed,
+        raw: buffer.subarray(offset, end),
+        value: buffer.subarray(start, end),
+        children: null,
+        end
+    };
+
+    if (constructed) {
+        element.children = [];
+        let position = start;
+        while (position < end) {
+            const child = parse(buffer, position);
+            element.children.push(child);
+            position = child.end;
+        }
+    }
+
+    return element;
+}
+
+/**
+ * Decode an OBJECT IDENTIFIER value
+ * @param {Buffer} value - OID content octets
+ * @returns {string} - Dotted OID
+ */
+function decodeOID(value) {
+    const parts = [Math.floor(value[0] / 40), value[0] % 40];
+    let current = 0;
+    for (let i = 1; i < value.length; i++) {
+        current = current * 128 + (value[i] & 0x7f);
+        if (!(value[i] & 0x80)) {
+            parts.push(current);
+            current = 0;
+        }
+    }
+    return parts.join('.');
+}
+
+/**
+ * Decode an unsigned INTEGER value
+ * @param {Buffer} value - INTEGER content octets
+ * @returns {number} - Integer value
+ */
+function decodeInteger(value) {
+    let result = 0;
+    for (const byte of value) {
+        result = result * 256 + byte;
+    }
+    return result;
+}
+
+/**
+ * Get the extensions of a DER encoded X.509 certificate
+ * @param {Buffer} certificateDer - DER encoded certificate
+ * @returns {Array} - Extensions ({ oid, critical, value })
+ */
+function getCertificateExtensions(certificateDer) {
+    const certificate = parse(certificateDer);
+    const tbsCertificate = certificate.children[0];
+    const extensionsWrapper = tbsCertificate.children
+        .find(child => child.tagClass === 'context' && child.tagNumber === 3);
+    if (!extensionsWrapper) return [];
+
+    return extensionsWrapper.children[0].children.map(extension => {
+        const [oid, ...rest] = extension.children;
+        const critical = rest.length === 2 && rest[0].value[0] !== 0;
+        return {
+            oid: decodeOID(oid.value),
+            critical,
+            value: rest[rest.length - 1].value
+        };
+    });
+}
+
+/**
+ * Encode a DER element
+ * @param {number} tag - Identifier octet
+ * @param {Buffer} content - Content octets
+ * @returns {Buffer} - DER element
+ */
+function encode(tag, content) {
+    const length = content.length;
+    let header;
+    if (length < 0x80) {
+        header = Buffer.from([tag, length]);
+    } else {
+        const lengthBytes = [];
+        for (let remaining = length; remaining > 0; remaining = Math.floor(remaining / 256)) {
+            lengthBytes.unshift(remaining % 256);
+        }
+        header = Buffer.from([tag, 0x80 | lengthBytes.length, ...lengthBytes]);
+    }
+    return Buffer.concat([header, content]);
+}
+
+/**
+ * Encode a SEQUENCE
+ * @param {...Buffer} elements - Encoded members
+ * @returns {Buffer} - DER SEQUENCE
+ */
+function sequence(...elements) {
+    return encode(0x30, Buffer.concat(elements));
+}
+
+/**
+ * Encode a SET
+ * @param {...Buffer} elements - Encoded members
+ * @returns {Buffer} - DER SET
+ */
+function set(...elements) {
+    return encode(0x31, Buffer.concat(elements));
+}
+
+/**
+ * Encode a non-negative INTEGER
+ * @param {number|Buffer} value - Integer value, or its big-endian bytes
+ * @returns {Buffer} - DER INTEGER
+ */
+function integer(value) {
+    let bytes;
+    if (Buffer.isBuffer(value)) {
+        bytes = value;
+    } else {
+        const hex = value.toString(16);
+        bytes = Buffer.from(hex.length % 2 ? `0${hex}` : hex, 'hex');
+    }
+
+    let start = 0;
+    while (start < bytes.length - 1 && bytes[start] === 0) start++;
+    bytes = bytes.subarray(start);
+    // A set high bit would make the value negative
+    if (bytes[0] & 0x80) bytes = Buffer.concat([Buffer.from([0]), bytes]);
+    return encode(0x02, bytes);
+}
+
+/**
+ * Encode an OBJECT IDENTIFIER
+ * @param {string} dotted - Dotted OID
+ * @returns {Buffer} - DER OBJECT IDENTIFIER
+ */
+function oid(dotted) {
+    const parts = dotted.split('.').map(Number);
+    const bytes = [parts[0] * 40 + parts[1]];
+    for (const part of parts.slice(2)) {
+        const chunk = [part & 0x7f];
+        for (let remaining = Math.floor(part / 128); remaining > 0; remaining = Math.floor(remaining / 128)) {
+            chunk.unshift((remaining & 0x7f) | 0x80);
+        }
+        bytes.push(...chunk);
+    }
+    return encode(0x06, Buffer.from(bytes));
+}
+
+/**
+ * Encode a BOOLEAN
+ * @param {boolean} value - Boolean value
+ * @returns {Buffer} - DER BOOLEAN
+ */
+function boolean(value) {
+    return encode(0x01, Buffer.from([value ? 0xff : 0x00]));
+}
+
+/**
+ * Encode a BIT STRING
+ * @param {Buffer} bytes - Bit string content
+ * @param {number} unusedBits - Unused bits in the last byte
+ * @returns {Buffer} - DER BIT STRING
+ */
+function bitString(bytes, unusedBits = 0) {
+    return encode(0x03, Buffer.concat([Buffer.from([unusedBits]), bytes]));
+}
+
+/**
+ * Encode an OCTET STRING
+ * @param {Buffer} bytes - Octets
+ * @returns {Buffer} - DER OCTET STRING
+ */
+function octetString(bytes) {
+    return encode(0x04, bytes);
+}
+
+/**
+ * Encode a UTF8String
+ * @param {string} text - Text
+ * @returns {Buffer} - DER UTF8String
+ */
+function utf8String(text) {
+    return encode(0x0c, Buffer.from(text, 'utf8'));
+}
+
+/**
+ * Encode an IA5String
+ * @param {string} text - ASCII text
+ * @returns {Buffer} - DER IA5String
+ */
+function ia5String(text) {
+    return encode(0x16, Buffer.from(text, 'ascii'));
+}
+
+/**
+ * Encode a time as UTCTime (before 2050) or GeneralizedTime, as X.509 requires
+ * @param {Date|number} date - Time
+ * @returns {Buffer} - DER time
+ */
+function time(date) {
+    const iso = new Date(date).toISOString();
+    const digits = iso.slice(0, 19).replace(/\D/g, '');
+    const year = Number(iso.slice(0, 4));
+    if (year < 2050) {
+        return encode(0x17, Buffer.from(`${digits.slice(2)}Z`, 'ascii'));
+    }
+    return encode(0x18, Buffer.from(`${digits}Z`, 'ascii'));
+}
+
+/**
+ * Wrap an element in a context-specific tag
+ * @param {number} tagNumber - Context tag number
+ * @param {Buffer} content - Content octets (an encoded element for EXPLICIT tagging)
+ * @param {boolean} constructed - Whether the tagged value is constructed
+ * @returns {Buffer} - Tagged element
+ */
+function contextTag(tagNumber, content, constructed = true) {
+    return encode(0x80 | (constructed ? 0x20 : 0) | tagNumber, content);
+}
+
+/**
+ * Decode a time value (UTCTime or GeneralizedTime)
+ * @param {Object} element - Parsed time element
+ * @returns {number} - Epoch milliseconds
+ */
+function decodeTime(element) {
+    let text = element.value.toString('ascii').replace(/Z$/, '');
+    if (element.tagNumber === 0x17) {
+        text = `${Number(text.slice(0, 2)) < 50 ? '20' : '19'}${text}`;
+    }
+    const [year, month, day, hour, minute, second] =
+        [0, 4, 6, 8, 10, 12].map((start, i) => Number(text.slice(start, i ? start + 2 : 4)));
+    return Date.UTC(year, month - 1, day, hour, minute, second || 0);
+}
+
+module.exports = {
+    parse,
+    decodeOID,
+    decodeInteger,
+    decodeTime,
+    getCertificateExtensions,
+    encode,
+    sequence,
+    set,
+    integer,
+    oid,
+    boolean,
+    bitString,
+    octetString,
+    utf8String,
+    ia5String,
+    time,
+    contextTag
+};